@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+import {parseArgs} from 'node:util';
+import {mkdir, readFile, writeFile} from 'node:fs/promises';
+import {join} from 'node:path';
+import {installSvgDocument} from './svgDocument.js';
+
+const USAGE = `Usage: maze-batch [options]
+
+Options:
+  --shape <name>        square, triangle, hexagon or circle (default: square)
+  --width <n>           grid width, for square, triangle and hexagon grids
+  --height <n>          grid height, for square, triangle and hexagon grids
+  --layers <n>          number of layers, for circular grids
+  --algorithm <id>      generation algorithm (default: the shape's default algorithm)
+  --exits <config>      vertical, horizontal, hardest, maximallyDistant, randomPerimeter or custom (default: vertical)
+  --start <x,y>         coordinates of the start cell, for custom exits
+  --end <x,y>           coordinates of the finish cell, for custom exits
+  --braid <percent>     percentage of dead ends to remove, adding loops to the maze (default: 0)
+  --mask <file>         JSON file containing an array of the coordinates of the cells to remove
+  --seeds <list>        seeds to generate, eg '1-500', '1,5,9' or '10-100:10' (required)
+  --out <dir>           output directory (default: ./mazes)
+  --no-maze             don't write maze map files
+  --no-solution         don't write solution files
+  --no-distance         don't write distance map files
+  --theme <name>        colour scheme for the images: classic, highContrast, blueprint or sepia (default: classic)
+  --solution-arrows     draw arrows along the solution path showing which way to go
+  --json                write a JSON file describing the structure of each maze
+  --stats               write stats.csv and stats.json files describing each maze
+  --require <rule>      only keep mazes meeting a rule, eg 'deadEnds>=30' or 'solutionLength>=60%' (may be repeated)
+  --keep <n>            stop once this many mazes have met the --require rules (default: try every seed)
+  --no-zip              don't write a ZIP file containing all the generated files
+  --help                show this message
+`;
+
+function parseSeedList(text) {
+    const seeds = [];
+
+    text.split(',').map(part => part.trim()).filter(part => part.length).forEach(part => {
+        const rangeMatch = part.match(/^(\d+)-(\d+)(?::(\d+))?$/);
+        if (rangeMatch) {
+            const start = Number(rangeMatch[1]),
+                end = Number(rangeMatch[2]),
+                step = Number(rangeMatch[3] || 1);
+
+            if (step <= 0) {
+                throw new Error(`Step value must be positive: ${part}`);
+            }
+            if (start <= end) {
+                for (let seed = start; seed <= end; seed += step) {
+                    seeds.push(seed);
+                }
+            } else {
+                for (let seed = start; seed >= end; seed -= step) {
+                    seeds.push(seed);
+                }
+            }
+
+        } else if (/^\d+$/.test(part)) {
+            seeds.push(Number(part));
+
+        } else {
+            throw new Error(`Invalid seed: ${part}`);
+        }
+    });
+
+    return seeds;
+}
+
+function buildModelFromOptions(options, config, algorithms) {
+    const shape = options.shape,
+        shapeConfig = config.shapes[shape];
+
+    if (!shapeConfig) {
+        throw new Error(`Unknown shape '${shape}', expected one of: ${Object.keys(config.shapes).join(', ')}`);
+    }
+
+    const size = {};
+    Object.entries(shapeConfig.parameters).forEach(([paramName, paramValues]) => {
+        const value = options[paramName] === undefined ? paramValues.initial : Number(options[paramName]);
+        if (!Number.isInteger(value) || value < paramValues.min || value > paramValues.max) {
+            throw new Error(`Enter a number between ${paramValues.min} and ${paramValues.max} for ${paramName}`);
+        }
+        size[paramName] = value;
+    });
+
+    const algorithm = options.algorithm || shapeConfig.defaultAlgorithm;
+    if (!algorithms[algorithm] || !algorithms[algorithm].metadata.shapes.includes(shape)) {
+        const available = Object.entries(algorithms)
+            .filter(([algorithmId, algorithm]) => algorithm.metadata.shapes.includes(shape))
+            .map(([algorithmId]) => algorithmId);
+        throw new Error(`Algorithm '${algorithm}' can't be used with ${shape} grids, expected one of: ${available.join(', ')}`);
+    }
+
+    const braid = Number(options.braid);
+    if (!Number.isInteger(braid) || braid < 0 || braid > 100) {
+        throw new Error('The --braid option must be a number between 0 and 100');
+    }
+
+    return {shape, size, algorithm, exitConfig: options.exits, braid};
+}
+
+async function run() {
+    const {values: options} = parseArgs({
+        options: {
+            shape: {type: 'string', default: 'square'},
+            width: {type: 'string'},
+            height: {type: 'string'},
+            layers: {type: 'string'},
+            algorithm: {type: 'string'},
+            exits: {type: 'string', default: 'vertical'},
+            start: {type: 'string'},
+            end: {type: 'string'},
+            braid: {type: 'string', default: '0'},
+            seeds: {type: 'string'},
+            mask: {type: 'string'},
+            out: {type: 'string', default: './mazes'},
+            'no-maze': {type: 'boolean', default: false},
+            'no-solution': {type: 'boolean', default: false},
+            'no-distance': {type: 'boolean', default: false},
+            theme: {type: 'string', default: 'classic'},
+            'solution-arrows': {type: 'boolean', default: false},
+            json: {type: 'boolean', default: false},
+            stats: {type: 'boolean', default: false},
+            require: {type: 'string', multiple: true, default: []},
+            keep: {type: 'string'},
+            'no-zip': {type: 'boolean', default: false},
+            help: {type: 'boolean', default: false}
+        }
+    });
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!options.seeds) {
+        throw new Error('The --seeds option is required');
+    }
+
+    // The maze library and the shared export code expect a DOM, so it must be in place before they are loaded
+    installSvgDocument();
+    const [{config}, {algorithms}, constants, mazeExport, {validateMaskForGrid}, {computeMazeStats, buildStatsRow, buildStatsCsv}, {parseConstraint, checkConstraints}, {mazeToJsonText}, {THEMES, getTheme}, exits, {default: JSZip}] = await Promise.all([
+        import('../js/config.js'),
+        import('../js/lib/algorithms.js'),
+        import('../js/lib/constants.js'),
+        import('../js/mazeExport.js'),
+        import('../js/mask.js'),
+        import('../js/stats.js'),
+        import('../js/constraints.js'),
+        import('../js/mazeJson.js'),
+        import('../js/themes.js'),
+        import('../js/exits.js'),
+        import('jszip')
+    ]);
+    const {EXITS_HARDEST, EXITS_HORIZONTAL, EXITS_VERTICAL} = constants;
+    const {FILE_PREFIX_MAZE, FILE_PREFIX_SOLUTION, FILE_PREFIX_DISTANCE, FILE_PREFIX_DATA, buildFileName, buildZipFileName, buildMazeForSeed,
+        createSvgElement, renderSvg, renderSolutionSvg, renderDistanceSvg} = mazeExport;
+
+    const {EXITS_CUSTOM, PLACED_EXIT_CONFIGS, parseCoords} = exits;
+
+    if (![EXITS_VERTICAL, EXITS_HORIZONTAL, EXITS_HARDEST, ...PLACED_EXIT_CONFIGS].includes(options.exits)) {
+        throw new Error(`Unknown exit configuration '${options.exits}'`);
+    }
+    if (!THEMES[options.theme]) {
+        throw new Error(`Unknown theme '${options.theme}', expected one of: ${Object.keys(THEMES).join(', ')}`);
+    }
+
+    const model = buildModelFromOptions(options, config, algorithms);
+    if (options.exits === EXITS_CUSTOM) {
+        model.customExits = {start: parseCoords(options.start), end: parseCoords(options.end)};
+        if (!(model.customExits.start && model.customExits.end)) {
+            throw new Error('Custom exits need the --start and --end options, eg --start 0,0 --end 9,9');
+        }
+    }
+
+    const seeds = parseSeedList(options.seeds),
+        mask = options.mask ? JSON.parse(await readFile(options.mask, 'utf8')) : [],
+        constraints = options.require.map(parseConstraint),
+        keepCount = options.keep === undefined ? Infinity : Number(options.keep),
+        theme = getTheme(options.theme),
+        solutionOptions = {solutionArrows: options['solution-arrows'], shape: model.shape},
+        outputs = [
+            {enabled: !options['no-maze'],     prefix: FILE_PREFIX_MAZE,     render: maze => renderSvg(maze, theme)},
+            {enabled: !options['no-solution'], prefix: FILE_PREFIX_SOLUTION, render: maze => renderSolutionSvg(maze, theme, solutionOptions)},
+            {enabled: !options['no-distance'], prefix: FILE_PREFIX_DISTANCE, render: maze => renderDistanceSvg(maze, theme)},
+            {enabled: options.json,            prefix: FILE_PREFIX_DATA,     render: (maze, seed) => mazeToJsonText(maze, {...model, seed}), extension: 'json'}
+        ].filter(output => output.enabled);
+
+    if (!seeds.length) {
+        throw new Error('Please provide at least one seed');
+    }
+    if (!outputs.length && !options.stats) {
+        throw new Error('Nothing to generate, all outputs have been disabled');
+    }
+    if (keepCount !== Infinity && !(Number.isInteger(keepCount) && keepCount >= 1)) {
+        throw new Error('The --keep option must be a whole number greater than 0');
+    }
+    if (mask.length) {
+        if (!algorithms[model.algorithm].metadata.maskable) {
+            throw new Error(`Algorithm '${model.algorithm}' can't be used with a mask`);
+        }
+        const maskError = validateMaskForGrid(model.shape, model.size, mask, createSvgElement());
+        if (maskError) {
+            throw new Error(maskError);
+        }
+        model.mask = mask;
+    }
+
+    await mkdir(options.out, {recursive: true});
+
+    const zip = new JSZip(),
+        errors = [],
+        statsRows = [];
+    let fileCount = 0,
+        keptCount = 0;
+
+    for (let i = 0; i < seeds.length && keptCount < keepCount; i++) {
+        const seed = seeds[i];
+        try {
+            const maze = buildMazeForSeed(model, seed, createSvgElement()),
+                stats = options.stats || constraints.length ? computeMazeStats(maze) : null,
+                failures = constraints.length ? checkConstraints(stats, constraints) : [];
+
+            if (failures.length) {
+                console.log(`Rejected seed ${seed}: ${failures.join(', ')}`);
+                maze.dispose();
+                continue;
+            }
+            keptCount++;
+
+            for (const output of outputs) {
+                const name = buildFileName(output.prefix, model, seed, output.extension),
+                    content = output.render(maze, seed);
+                await writeFile(join(options.out, name), content);
+                zip.file(name, content);
+                fileCount++;
+            }
+            if (options.stats) {
+                statsRows.push(buildStatsRow(model, seed, stats));
+            }
+            maze.dispose();
+            console.log(`Generated maze ${i + 1} of ${seeds.length} (seed: ${seed})`);
+
+        } catch (error) {
+            errors.push(`Seed ${seed}: ${error.message}`);
+            console.error(`Seed ${seed}: ${error.message}`);
+        }
+    }
+
+    if (statsRows.length) {
+        const statsFiles = {
+            'stats.csv': buildStatsCsv(statsRows),
+            'stats.json': JSON.stringify(statsRows, null, 2)
+        };
+        for (const [name, content] of Object.entries(statsFiles)) {
+            await writeFile(join(options.out, name), content);
+            zip.file(name, content);
+            fileCount++;
+        }
+    }
+
+    if (!options['no-zip'] && fileCount) {
+        const zipPath = join(options.out, buildZipFileName(model));
+        await writeFile(zipPath, await zip.generateAsync({type: 'nodebuffer'}));
+        console.log(`Wrote ${zipPath}`);
+    }
+
+    if (keptCount < keepCount && keepCount !== Infinity) {
+        errors.push(`Only ${keptCount} of ${keepCount} mazes met the requirements`);
+        console.error(errors[errors.length - 1]);
+    }
+
+    console.log(`Generated ${fileCount} files with ${errors.length} errors`);
+    if (errors.length) {
+        process.exitCode = 1;
+    }
+}
+
+run().catch(error => {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+});
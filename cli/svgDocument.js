@@ -0,0 +1,87 @@
+// Just enough of the DOM for drawingSurfaces.svg to build an SVG tree outside of a browser
+
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+function escapeText(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+}
+
+function buildElement(tagName) {
+    "use strict";
+    const attributes = new Map(),
+        children = [];
+    let text = '';
+
+    return {
+        tagName,
+        style: {},
+        get childNodes() {
+            return children;
+        },
+        get children() {
+            return children;
+        },
+        get firstChild() {
+            return children[0] || null;
+        },
+        setAttribute(name, value) {
+            attributes.set(name, String(value));
+        },
+        getAttribute(name) {
+            return attributes.has(name) ? attributes.get(name) : null;
+        },
+        removeAttribute(name) {
+            attributes.delete(name);
+        },
+        appendChild(child) {
+            children.push(child);
+            return child;
+        },
+        insertBefore(child, referenceChild) {
+            const index = children.indexOf(referenceChild);
+            children.splice(index >= 0 ? index : children.length, 0, child);
+            return child;
+        },
+        removeChild(child) {
+            const index = children.indexOf(child);
+            if (index >= 0) {
+                children.splice(index, 1);
+            }
+            return child;
+        },
+        addEventListener() {},
+        removeEventListener() {},
+        set innerHTML(value) {
+            console.assert(value === '', 'Only clearing of innerHTML is supported');
+            children.length = 0;
+            text = '';
+        },
+        get innerHTML() {
+            return children.map(child => child.outerHTML).join('') + escapeText(text);
+        },
+        set textContent(value) {
+            children.length = 0;
+            text = value;
+        },
+        get textContent() {
+            return text;
+        },
+        get outerHTML() {
+            const attributeText = [...attributes].map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('');
+            return `<${tagName}${attributeText}>${this.innerHTML}</${tagName}>`;
+        }
+    };
+}
+
+export function installSvgDocument() {
+    globalThis.document = {
+        createElementNS(namespace, tagName) {
+            return buildElement(tagName);
+        },
+        createElement(tagName) {
+            return buildElement(tagName);
+        }
+    };
+}
@@ -2,11 +2,43 @@ import {buildMaze} from './lib/main.js';
 import {config} from './config.js';
 import {algorithms} from './lib/algorithms.js';
 import {shapes} from './lib/shapes.js';
-import {drawingSurfaces} from './lib/drawingSurfaces.js';
 import {
-    ALGORITHM_NONE, METADATA_END_CELL, METADATA_START_CELL, EXITS_NONE, EXITS_HARDEST, EXITS_HORIZONTAL, EXITS_VERTICAL,
+    ALGORITHM_NONE, EXITS_NONE, EXITS_HARDEST, EXITS_HORIZONTAL, EXITS_VERTICAL, EVENT_CLICK, METADATA_MASKED, METADATA_VISITED,
     SHAPE_SQUARE, SHAPE_TRIANGLE, SHAPE_HEXAGON, SHAPE_CIRCLE
 } from './lib/constants.js';
+import {
+    SVG_SIZE, FILE_PREFIX_MAZE, FILE_PREFIX_SOLUTION, FILE_PREFIX_DISTANCE, FILE_PREFIX_DATA,
+    buildFileName, buildZipFileName, buildMatrixZipFileName, buildMazeForSeed, renderSvg, renderWithSolution, renderWithDistances
+} from './mazeExport.js';
+import {PNG_SIZES, PNG_DPIS, DEFAULT_PNG_SIZE, DEFAULT_PNG_DPI, renderMazeToCanvas, canvasToPng} from './png.js';
+import {getMaskKey, loadSavedMasks, getMaskedCoords, applyMaskToGrid, validateMask, validateMaskForGrid} from './mask.js';
+import {parseSizeList, expandMatrix, getCombinationFolder} from './batchMatrix.js';
+import {computeMazeStats, buildStatsRow, buildStatsCsv} from './stats.js';
+import {mazeToJsonText} from './mazeJson.js';
+import {PAPER_SIZES, MAZES_PER_PAGE_OPTIONS, buildPuzzleBook} from './puzzleBook.js';
+import {THEMES, THEME_FIELDS, DEFAULT_THEME_ID, getTheme, findThemeId, normaliseTheme} from './themes.js';
+import {DEFAULT_BRAID, MIN_BRAID, MAX_BRAID, isValidBraid} from './braid.js';
+import {EXITS_CUSTOM, EXITS_MAXIMALLY_DISTANT, EXITS_RANDOM_PERIMETER, formatCoords, parseCoords} from './exits.js';
+import {CONSTRAINT_METRICS, CONSTRAINT_OPERATORS, CONSTRAINT_UNIT_CELLS, CONSTRAINT_UNIT_PERCENT, checkConstraints, validateConstraint} from './constraints.js';
+
+// Custom exits are left out of matrix mode, since the same cells won't suit every shape and size of maze
+const EXIT_CONFIGS = [
+        {description: 'Vertical', value: EXITS_VERTICAL},
+        {description: 'Horizontal', value: EXITS_HORIZONTAL},
+        {description: 'Hardest', value: EXITS_HARDEST},
+        {description: 'Maximally Distant', value: EXITS_MAXIMALLY_DISTANT},
+        {description: 'Random on Perimeter', value: EXITS_RANDOM_PERIMETER},
+        {description: 'Custom', value: EXITS_CUSTOM}
+    ],
+    MATRIX_EXIT_CONFIGS = EXIT_CONFIGS.filter(exitConfig => exitConfig.value !== EXITS_CUSTOM),
+    CUSTOM_EXIT_INPUTS = {start: 'customExitStart', end: 'customExitEnd'};
+
+const DEFAULT_FILTER = {
+    enabled: false,
+    constraints: [],
+    targetCount: 10,
+    maxAttempts: 500
+};
 
 class BatchGenerator {
     constructor() {
@@ -14,7 +46,14 @@ class BatchGenerator {
             shape: 'square',
             size: {},
             algorithm: config.shapes.square.defaultAlgorithm,
-            exitConfig: EXITS_VERTICAL
+            exitConfig: EXITS_VERTICAL,
+            braid: DEFAULT_BRAID,
+            customExits: null,
+            masks: {},
+            matrixMode: false,
+            matrix: null,
+            filter: {...DEFAULT_FILTER, constraints: []},
+            theme: getTheme(DEFAULT_THEME_ID)
         };
         this.generatedFiles = [];
         this.errors = [];
@@ -33,6 +72,10 @@ class BatchGenerator {
         
         // Set default values
         this.setDefaultValues();
+        this.setupMatrixConfig();
+        this.setupBraid();
+        this.setupFilter();
+        this.setupThemeEditor();
     }
 
     setupShapeSelector() {
@@ -61,18 +104,32 @@ class BatchGenerator {
 
     setupExitConfigs() {
         const exitList = document.getElementById('exitSelector');
-        const exitConfigs = [
-            {description: 'Vertical', value: EXITS_VERTICAL},
-            {description: 'Horizontal', value: EXITS_HORIZONTAL},
-            {description: 'Hardest', value: EXITS_HARDEST}
-        ];
-        
-        exitConfigs.forEach(config => {
+        EXIT_CONFIGS.forEach(config => {
             const li = document.createElement('li');
             li.textContent = config.description;
             li.onclick = () => this.selectExitConfig(config.value);
             exitList.appendChild(li);
         });
+
+        // Custom exits are entered as cell coordinates, eg '0,4'
+        Object.entries(CUSTOM_EXIT_INPUTS).forEach(([name, inputId]) => {
+            const input = document.getElementById(inputId);
+            input.onchange = () => {
+                this.model.customExits = {...this.model.customExits, [name]: parseCoords(input.value)};
+                input.classList.toggle('invalid', !this.model.customExits[name]);
+                this.saveSettings();
+            };
+        });
+        this.updateCustomExits();
+    }
+
+    updateCustomExits() {
+        const customExits = this.model.customExits || {};
+        Object.entries(CUSTOM_EXIT_INPUTS).forEach(([name, inputId]) => {
+            const input = document.getElementById(inputId);
+            input.value = customExits[name] ? formatCoords(customExits[name]) : '';
+            input.classList.remove('invalid');
+        });
     }
 
     setDefaultValues() {
@@ -94,6 +151,7 @@ class BatchGenerator {
             if (savedSettings) {
                 const settings = JSON.parse(savedSettings);
                 this.model = { ...this.model, ...settings };
+                this.model.theme = normaliseTheme(this.model.theme);
             }
         } catch (error) {
             console.warn('Failed to load saved settings:', error);
@@ -106,7 +164,14 @@ class BatchGenerator {
                 shape: this.model.shape,
                 size: this.model.size,
                 algorithm: this.model.algorithm,
-                exitConfig: this.model.exitConfig
+                exitConfig: this.model.exitConfig,
+                customExits: this.model.customExits,
+                braid: this.model.braid,
+                masks: this.model.masks,
+                matrixMode: this.model.matrixMode,
+                matrix: this.model.matrix,
+                filter: this.model.filter,
+                theme: this.model.theme
             };
             localStorage.setItem('mazeBatchSettings', JSON.stringify(settingsToSave));
         } catch (error) {
@@ -123,10 +188,23 @@ class BatchGenerator {
                     shape: 'square',
                     size: {},
                     algorithm: config.shapes.square.defaultAlgorithm,
-                    exitConfig: EXITS_VERTICAL
+                    exitConfig: EXITS_VERTICAL,
+                    braid: DEFAULT_BRAID,
+                    customExits: null,
+                    masks: {},
+                    matrixMode: false,
+                    matrix: null,
+                    filter: {...DEFAULT_FILTER, constraints: []},
+                    theme: getTheme(DEFAULT_THEME_ID)
                 };
                 this.setDefaultValues();
                 this.updateSizeParameters();
+                document.getElementById('matrixMode').checked = false;
+                this.updateMatrixConfig();
+                this.updateBraid();
+                this.updateCustomExits();
+                this.updateFilter();
+                this.updateThemeEditor();
                 alert('Settings cleared successfully!');
             } catch (error) {
                 console.warn('Failed to clear settings:', error);
@@ -139,6 +217,7 @@ class BatchGenerator {
         this.model.shape = shapeName;
         this.updateShapeSelection(shapeName);
         this.updateSizeParameters();
+        this.updateMaskPreview();
         this.updateAlgorithmSelector();
         this.saveSettings();
     }
@@ -181,10 +260,10 @@ class BatchGenerator {
 
     updateExitSelection(selectedExit) {
         const items = document.querySelectorAll('#exitSelector li');
-        const exitConfigs = [EXITS_VERTICAL, EXITS_HORIZONTAL, EXITS_HARDEST];
         items.forEach((item, index) => {
-            item.classList.toggle('selected', exitConfigs[index] === selectedExit);
+            item.classList.toggle('selected', EXIT_CONFIGS[index].value === selectedExit);
         });
+        document.getElementById('customExits').style.display = selectedExit === EXITS_CUSTOM ? 'flex' : 'none';
     }
 
     updateSizeParameters() {
@@ -194,9 +273,13 @@ class BatchGenerator {
         const sizeList = document.getElementById('sizeParameters');
         sizeList.innerHTML = '';
 
+        // Only keep the parameters used by this shape, otherwise they would end up in mask keys and file names
+        const savedSize = this.model.size;
+        this.model.size = {};
+
         Object.entries(parameters).forEach(([paramName, paramValues]) => {
             // Use saved value or default
-            const savedValue = this.model.size[paramName];
+            const savedValue = savedSize[paramName];
             const value = savedValue !== undefined ? savedValue : paramValues.initial;
             
             const li = document.createElement('li');
@@ -208,9 +291,96 @@ class BatchGenerator {
 
     updateSizeParameter(name, value) {
         this.model.size[name] = parseInt(value);
+        this.updateMaskPreview();
+        this.updateAlgorithmSelector();
+        this.saveSettings();
+    }
+
+    getCurrentMask() {
+        return this.model.masks[getMaskKey(this.model.shape, this.model.size)] || [];
+    }
+
+    setCurrentMask(mask) {
+        const maskKey = getMaskKey(this.model.shape, this.model.size);
+        if (mask.length) {
+            this.model.masks[maskKey] = mask;
+        } else {
+            delete this.model.masks[maskKey];
+        }
         this.saveSettings();
     }
 
+    updateMaskPreview() {
+        if (this.maskPreview) {
+            this.maskPreview.dispose();
+        }
+
+        // An empty grid, exactly like the one shown by the main page while a mask is being edited
+        const grid = Object.assign({'cellShape': this.model.shape}, this.model.size),
+            maze = this.maskPreview = buildMaze({
+                grid,
+                'algorithm': ALGORITHM_NONE,
+                'randomSeed': 0,
+                'element': document.getElementById('maskPreview'),
+                'mask': [],
+                'exitConfig': EXITS_NONE
+            });
+        maze.runAlgorithm.toCompletion();
+        applyMaskToGrid(maze, this.getCurrentMask());
+
+        maze.on(EVENT_CLICK, event => {
+            const cell = maze.getCellByCoordinates(event.coords);
+            cell.metadata[METADATA_MASKED] = !cell.metadata[METADATA_MASKED];
+            this.setCurrentMask(getMaskedCoords(maze));
+            this.updateMaskStatus();
+            this.updateAlgorithmSelector();
+            maze.render();
+        });
+
+        maze.render();
+        this.updateMaskStatus();
+    }
+
+    getMaskError() {
+        if (!this.getCurrentMask().length) {
+            return '';
+        }
+        try {
+            validateMask(this.maskPreview, this.model.shape);
+            return '';
+        } catch (error) {
+            return error;
+        } finally {
+            this.maskPreview.clearMetadata(METADATA_VISITED);
+        }
+    }
+
+    updateMaskStatus() {
+        const maskedCellCount = this.getCurrentMask().length,
+            maskError = this.getMaskError(),
+            maskStatus = document.getElementById('maskStatus');
+
+        maskStatus.textContent = maskError || (maskedCellCount ? `${maskedCellCount} cell${maskedCellCount !== 1 ? 's' : ''} masked` : 'No mask');
+        maskStatus.classList.toggle('mask-error', !!maskError);
+    }
+
+    importMask() {
+        const savedMask = loadSavedMasks()[getMaskKey(this.model.shape, this.model.size)];
+        if (!savedMask || !savedMask.length) {
+            alert(`No mask has been saved on the main page for a ${this.model.shape} grid of size ${Object.values(this.model.size).join('x')}`);
+            return;
+        }
+        this.setCurrentMask(savedMask);
+        this.updateMaskPreview();
+        this.updateAlgorithmSelector();
+    }
+
+    clearMask() {
+        this.setCurrentMask([]);
+        this.updateMaskPreview();
+        this.updateAlgorithmSelector();
+    }
+
     updateAlgorithmSelector() {
         const shape = this.model.shape;
         const algorithmList = document.getElementById('algorithmSelector');
@@ -219,7 +389,8 @@ class BatchGenerator {
         // Get available algorithms for this shape
         const availableAlgorithms = Object.entries(algorithms).filter(([algorithmId, algorithm]) => {
             return algorithmId !== ALGORITHM_NONE && 
-                   algorithm.metadata.shapes.includes(shape);
+                   algorithm.metadata.shapes.includes(shape) &&
+                   (algorithm.metadata.maskable || !this.getCurrentMask().length);
         });
 
         // Check if current algorithm is still valid for this shape
@@ -244,10 +415,301 @@ class BatchGenerator {
         });
     }
 
+    setupMatrixConfig() {
+        const buildCheckbox = (description, value, onChange) => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.value = value;
+            checkbox.onchange = onChange;
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${description}`));
+            return label;
+        };
+
+        const shapeList = document.getElementById('matrixShapes');
+        Object.keys(shapes).forEach(name => {
+            shapeList.appendChild(buildCheckbox(name, name, () => this.toggleMatrixValue('shapes', name)));
+        });
+
+        const algorithmList = document.getElementById('matrixAlgorithms');
+        Object.entries(algorithms).filter(([id, algorithm]) => id !== ALGORITHM_NONE).forEach(([id, algorithm]) => {
+            algorithmList.appendChild(buildCheckbox(algorithm.metadata.description, id, () => this.toggleMatrixValue('algorithms', id)));
+        });
+
+        const exitList = document.getElementById('matrixExits');
+        MATRIX_EXIT_CONFIGS.forEach(exitConfig => {
+            exitList.appendChild(buildCheckbox(exitConfig.description, exitConfig.value, () => this.toggleMatrixValue('exitConfigs', exitConfig.value)));
+        });
+
+        const matrixModeCheckbox = document.getElementById('matrixMode');
+        matrixModeCheckbox.checked = this.model.matrixMode;
+        matrixModeCheckbox.onchange = () => this.setMatrixMode(matrixModeCheckbox.checked);
+        document.getElementById('matrixSelectAllAlgorithms').onclick = () => this.selectAllMatrixAlgorithms();
+
+        this.updateMatrixConfig();
+    }
+
+    buildDefaultMatrix() {
+        // Start from whatever is currently selected in single configuration mode
+        return {
+            shapes: [this.model.shape],
+            sizes: {
+                [this.model.shape]: Object.fromEntries(Object.entries(this.model.size).map(([name, value]) => [name, [value]]))
+            },
+            algorithms: [this.model.algorithm],
+            exitConfigs: MATRIX_EXIT_CONFIGS.some(exitConfig => exitConfig.value === this.model.exitConfig) ? [this.model.exitConfig] : []
+        };
+    }
+
+    setMatrixMode(enabled) {
+        this.model.matrixMode = enabled;
+        if (enabled && !this.model.matrix) {
+            this.model.matrix = this.buildDefaultMatrix();
+        }
+        this.updateMatrixConfig();
+        this.saveSettings();
+    }
+
+    toggleMatrixValue(dimension, value) {
+        const values = this.model.matrix[dimension];
+        const index = values.indexOf(value);
+        if (index >= 0) {
+            values.splice(index, 1);
+        } else {
+            values.push(value);
+        }
+
+        if (dimension === 'shapes' && !this.model.matrix.sizes[value]) {
+            this.model.matrix.sizes[value] = Object.fromEntries(
+                Object.entries(config.shapes[value].parameters).map(([name, paramValues]) => [name, [paramValues.initial]])
+            );
+        }
+
+        this.updateMatrixConfig();
+        this.saveSettings();
+    }
+
+    selectAllMatrixAlgorithms() {
+        this.model.matrix.algorithms = Object.entries(algorithms)
+            .filter(([id, algorithm]) => id !== ALGORITHM_NONE && this.model.matrix.shapes.some(shape => algorithm.metadata.shapes.includes(shape)))
+            .map(([id]) => id);
+        this.updateMatrixConfig();
+        this.saveSettings();
+    }
+
+    updateMatrixSize(shape, name, value, input) {
+        const paramValues = config.shapes[shape].parameters[name];
+        try {
+            this.model.matrix.sizes[shape][name] = parseSizeList(value, paramValues.min, paramValues.max);
+            input.classList.remove('invalid');
+            input.title = '';
+        } catch (error) {
+            input.classList.add('invalid');
+            input.title = error.message;
+        }
+        this.updateMatrixSummary();
+        this.saveSettings();
+    }
+
+    updateMatrixConfig() {
+        document.getElementById('singleConfig').style.display = this.model.matrixMode ? 'none' : 'block';
+        document.getElementById('matrixConfig').style.display = this.model.matrixMode ? 'block' : 'none';
+
+        if (!this.model.matrixMode) {
+            return;
+        }
+
+        const matrix = this.model.matrix;
+        document.querySelectorAll('#matrixShapes input').forEach(checkbox => {
+            checkbox.checked = matrix.shapes.includes(checkbox.dataset.value);
+        });
+        document.querySelectorAll('#matrixExits input').forEach(checkbox => {
+            checkbox.checked = matrix.exitConfigs.includes(checkbox.dataset.value);
+        });
+        document.querySelectorAll('#matrixAlgorithms input').forEach(checkbox => {
+            const supportedShapes = algorithms[checkbox.dataset.value].metadata.shapes;
+            checkbox.checked = matrix.algorithms.includes(checkbox.dataset.value);
+            checkbox.disabled = !matrix.shapes.some(shape => supportedShapes.includes(shape));
+        });
+
+        const sizeList = document.getElementById('matrixSizes');
+        sizeList.innerHTML = '';
+        matrix.shapes.forEach(shape => {
+            Object.entries(config.shapes[shape].parameters).forEach(([paramName, paramValues]) => {
+                const li = document.createElement('li');
+                const values = matrix.sizes[shape][paramName].join(', ');
+                li.innerHTML = `<label>${shape} ${paramName} (${paramValues.min}-${paramValues.max}): <input type="text" value="${values}" onchange="window.batchGenerator.updateMatrixSize('${shape}', '${paramName}', this.value, this)"></label>`;
+                sizeList.appendChild(li);
+            });
+        });
+
+        this.updateMatrixSummary();
+    }
+
+    getMatrixCombinations() {
+        const matrix = this.model.matrix;
+        if (!matrix.shapes.length || !matrix.algorithms.length || !matrix.exitConfigs.length) {
+            throw new Error('Select at least one shape, algorithm and exit configuration');
+        }
+        if (document.querySelector('#matrixSizes input.invalid')) {
+            throw new Error('Please correct the highlighted size values');
+        }
+
+        const combinations = expandMatrix(matrix, algorithms, this.model.masks);
+
+        // Masks are only checked when they are edited in single configuration mode, so check any that the matrix will use
+        const checkedMasks = new Set();
+        combinations.filter(combination => combination.mask.length).forEach(combination => {
+            const maskKey = getMaskKey(combination.shape, combination.size);
+            if (!checkedMasks.has(maskKey)) {
+                checkedMasks.add(maskKey);
+                const maskError = validateMaskForGrid(combination.shape, combination.size, combination.mask, document.createElement('canvas'));
+                if (maskError) {
+                    throw new Error(`Mask for ${maskKey}: ${maskError}`);
+                }
+            }
+        });
+
+        return combinations.map(combination => ({...combination, braid: this.model.braid}));
+    }
+
+    updateMatrixSummary() {
+        const summary = document.getElementById('matrixSummary');
+        const matrix = this.model.matrix;
+        if (!matrix.shapes.length || !matrix.algorithms.length || !matrix.exitConfigs.length) {
+            summary.textContent = 'Select at least one shape, algorithm and exit configuration';
+            return;
+        }
+        const combinationCount = expandMatrix(matrix, algorithms, this.model.masks).length;
+        summary.textContent = `${combinationCount} combination${combinationCount !== 1 ? 's' : ''} will be generated for each seed`;
+    }
+
+    setupBraid() {
+        const braidInput = document.getElementById('braidInput');
+        braidInput.onchange = () => {
+            this.model.braid = parseInt(braidInput.value);
+            this.saveSettings();
+        };
+        this.updateBraid();
+    }
+
+    updateBraid() {
+        document.getElementById('braidInput').value = this.model.braid;
+    }
+
+    setupFilter() {
+        const filterEnabled = document.getElementById('filterEnabled');
+        filterEnabled.onchange = () => {
+            this.model.filter.enabled = filterEnabled.checked;
+            this.updateFilter();
+            this.saveSettings();
+        };
+
+        const targetCount = document.getElementById('filterTargetCount');
+        targetCount.onchange = () => {
+            this.model.filter.targetCount = parseInt(targetCount.value);
+            this.saveSettings();
+        };
+
+        const maxAttempts = document.getElementById('filterMaxAttempts');
+        maxAttempts.onchange = () => {
+            this.model.filter.maxAttempts = parseInt(maxAttempts.value);
+            this.saveSettings();
+        };
+
+        document.getElementById('addConstraint').onclick = () => {
+            this.model.filter.constraints.push({metric: CONSTRAINT_METRICS[0].key, operator: '>=', value: 60, unit: CONSTRAINT_UNIT_PERCENT});
+            this.updateFilter();
+            this.saveSettings();
+        };
+
+        this.updateFilter();
+    }
+
+    updateFilter() {
+        const filter = this.model.filter;
+        document.getElementById('filterEnabled').checked = filter.enabled;
+        document.getElementById('filterSettings').style.display = filter.enabled ? 'block' : 'none';
+        document.getElementById('filterTargetCount').value = filter.targetCount;
+        document.getElementById('filterMaxAttempts').value = filter.maxAttempts;
+
+        const buildSelect = (options, selectedValue, onChange) => {
+            const select = document.createElement('select');
+            options.forEach(({value, description}) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = description;
+                option.selected = value === selectedValue;
+                select.appendChild(option);
+            });
+            select.onchange = () => onChange(select.value);
+            return select;
+        };
+
+        const constraintList = document.getElementById('constraintList');
+        constraintList.innerHTML = '';
+        filter.constraints.forEach((constraint, index) => {
+            const li = document.createElement('li');
+            const update = (field, value) => {
+                constraint[field] = value;
+                this.saveSettings();
+            };
+
+            li.appendChild(buildSelect(CONSTRAINT_METRICS.map(metric => ({value: metric.key, description: metric.description})), constraint.metric, value => update('metric', value)));
+            li.appendChild(buildSelect(Object.keys(CONSTRAINT_OPERATORS).map(operator => ({value: operator, description: operator})), constraint.operator, value => update('operator', value)));
+
+            const valueInput = document.createElement('input');
+            valueInput.type = 'number';
+            valueInput.step = 'any';
+            valueInput.value = constraint.value;
+            valueInput.className = 'seed-input-small';
+            valueInput.onchange = () => update('value', parseFloat(valueInput.value));
+            li.appendChild(valueInput);
+
+            li.appendChild(buildSelect([
+                {value: CONSTRAINT_UNIT_CELLS, description: ''},
+                {value: CONSTRAINT_UNIT_PERCENT, description: '% of cells'}
+            ], constraint.unit, value => update('unit', value)));
+
+            const removeButton = document.createElement('button');
+            removeButton.textContent = '✕';
+            removeButton.title = 'Remove';
+            removeButton.onclick = () => {
+                filter.constraints.splice(index, 1);
+                this.updateFilter();
+                this.saveSettings();
+            };
+            li.appendChild(removeButton);
+
+            constraintList.appendChild(li);
+        });
+    }
+
+    validateFilter() {
+        const filter = this.model.filter;
+        if (!filter.constraints.length) {
+            throw new Error('Add at least one criterion to the difficulty filter');
+        }
+        filter.constraints.forEach(validateConstraint);
+        if (!(filter.targetCount >= 1 && filter.targetCount <= 100)) {
+            throw new Error('The number of mazes to keep must be between 1 and 100');
+        }
+        if (!(filter.maxAttempts >= filter.targetCount && filter.maxAttempts <= 10000)) {
+            throw new Error(`The maximum number of attempts must be between ${filter.targetCount} and 10000`);
+        }
+    }
+
     setupEventListeners() {
         document.getElementById('generateBatch').onclick = () => this.generateBatch();
         document.getElementById('downloadZip').onclick = () => this.downloadZip();
+        document.getElementById('downloadBook').onclick = () => this.downloadBook();
         document.getElementById('clearSettings').onclick = () => this.clearSettings();
+        document.getElementById('importMask').onclick = () => this.importMask();
+        document.getElementById('clearMask').onclick = () => this.clearMask();
+        
+        this.setupPngOptions();
+        this.setupBookOptions();
         
         // Seed input method event listeners
         this.setupSeedInputListeners();
@@ -259,6 +721,116 @@ class BatchGenerator {
         window.testSeedConsistency = () => this.testSeedConsistency();
     }
 
+    setupPngOptions() {
+        const addOptions = (select, values, defaultValue) => {
+            values.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                option.selected = value === defaultValue;
+                select.appendChild(option);
+            });
+        };
+        addOptions(document.getElementById('pngSize'), PNG_SIZES, DEFAULT_PNG_SIZE);
+        addOptions(document.getElementById('pngDpi'), PNG_DPIS, DEFAULT_PNG_DPI);
+
+        const formatPng = document.getElementById('formatPng');
+        const updatePngSettings = () => {
+            document.getElementById('pngSettings').style.display = formatPng.checked ? 'flex' : 'none';
+        };
+        formatPng.addEventListener('change', updatePngSettings);
+        updatePngSettings();
+    }
+
+    setupThemeEditor() {
+        const themePreset = document.getElementById('themePreset');
+        Object.entries(THEMES).forEach(([id, theme]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = theme.description;
+            themePreset.appendChild(option);
+        });
+        const customOption = document.createElement('option');
+        customOption.value = '';
+        customOption.textContent = 'Custom';
+        customOption.disabled = true;
+        themePreset.appendChild(customOption);
+
+        themePreset.addEventListener('change', () => {
+            this.model.theme = getTheme(themePreset.value);
+            this.updateThemeEditor();
+            this.saveSettings();
+        });
+
+        const themeFields = document.getElementById('themeFields');
+        THEME_FIELDS.forEach(field => {
+            const label = document.createElement('label');
+            label.textContent = field.description;
+
+            let input;
+            if (field.type === 'select') {
+                input = document.createElement('select');
+                field.values.forEach(value => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = value.charAt(0).toUpperCase() + value.slice(1);
+                    input.appendChild(option);
+                });
+            } else {
+                input = document.createElement('input');
+                input.type = field.type === 'colour' ? 'color' : 'number';
+                if (field.type === 'number') {
+                    input.min = field.min;
+                    input.max = field.max;
+                    input.step = field.step;
+                    input.className = 'seed-input-small';
+                }
+            }
+            input.dataset.key = field.key;
+            input.addEventListener('change', () => {
+                const value = field.type === 'number' ? parseFloat(input.value) : input.value;
+                if (field.type === 'number' && !(value >= field.min && value <= field.max)) {
+                    input.value = this.model.theme[field.key];
+                    return;
+                }
+                this.model.theme = {...this.model.theme, [field.key]: value};
+                this.updateThemeEditor();
+                this.saveSettings();
+            });
+
+            label.appendChild(input);
+            themeFields.appendChild(label);
+        });
+
+        this.updateThemeEditor();
+    }
+
+    updateThemeEditor() {
+        document.getElementById('themePreset').value = findThemeId(this.model.theme) || '';
+        document.querySelectorAll('#themeFields [data-key]').forEach(input => {
+            input.value = this.model.theme[input.dataset.key];
+        });
+    }
+
+    setupBookOptions() {
+        const paperSize = document.getElementById('bookPaperSize');
+        Object.entries(PAPER_SIZES).forEach(([key, paper]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = paper.description;
+            paperSize.appendChild(option);
+        });
+
+        const mazesPerPage = document.getElementById('bookMazesPerPage');
+        MAZES_PER_PAGE_OPTIONS.forEach(count => {
+            const option = document.createElement('option');
+            option.value = count;
+            option.textContent = count;
+            option.selected = count === 4;
+            mazesPerPage.appendChild(option);
+        });
+    }
+
     setupSeedInputListeners() {
         // Radio button change listeners
         document.querySelectorAll('input[name="seedMethod"]').forEach(radio => {
@@ -412,18 +984,28 @@ class BatchGenerator {
         const generateMaze = document.getElementById('generateMaze').checked;
         const generateSolution = document.getElementById('generateSolution').checked;
         const generateDistance = document.getElementById('generateDistance').checked;
+        const generateStats = document.getElementById('generateStats').checked;
+        const generateJson = document.getElementById('generateJson').checked;
+        const formats = this.getImageFormats();
+        const filter = this.model.filter.enabled ? this.model.filter : null;
         
-        if (!generateMaze && !generateSolution && !generateDistance) {
+        if (!generateMaze && !generateSolution && !generateDistance && !generateStats && !generateJson) {
             alert('Please select at least one generation option');
             return;
         }
+
+        if ((generateMaze || generateSolution || generateDistance) && !formats.svg && !formats.png) {
+            alert('Please select at least one image format');
+            return;
+        }
         
         let seeds;
         try {
             seeds = this.getSeedsFromInput();
             console.log('Parsed seeds:', seeds); // Debug log
             
-            if (seeds.length === 0) {
+            // When filtering, any seeds entered are tried first and then random seeds are used until enough mazes are found
+            if (seeds.length === 0 && !filter) {
                 alert('Please provide at least one seed');
                 return;
             }
@@ -432,63 +1014,148 @@ class BatchGenerator {
                 alert('Maximum 100 seeds allowed');
                 return;
             }
+
+            if (filter) {
+                this.validateFilter();
+                seeds = this.buildCandidateSeeds(seeds, filter.maxAttempts);
+            }
+
+            if (!isValidBraid(this.model.braid)) {
+                alert(`Enter a number between ${MIN_BRAID} and ${MAX_BRAID} for the braid percentage`);
+                return;
+            }
         } catch (error) {
             alert(error.message);
             return;
         }
+
+        let combinations;
+        if (this.model.matrixMode) {
+            try {
+                combinations = this.getMatrixCombinations();
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+            if (combinations.length === 0) {
+                alert('None of the selected algorithms can be used with the selected shapes');
+                return;
+            }
+        } else {
+            const maskError = this.getMaskError();
+            if (maskError) {
+                alert(maskError);
+                return;
+            }
+            const customExits = this.model.customExits;
+            if (this.model.exitConfig === EXITS_CUSTOM && !(customExits && customExits.start && customExits.end)) {
+                alert('Enter the coordinates of the start and finish cells, eg 0,0');
+                return;
+            }
+            combinations = [{...this.model, mask: this.getCurrentMask()}];
+        }
         
         this.isGenerating = true;
         this.generatedFiles = [];
         this.errors = [];
+        this.rejections = [];
+        this.statsRows = [];
         
+        const mazesPerCombination = filter ? filter.targetCount : seeds.length;
+        const mazeCount = combinations.length * mazesPerCombination;
         this.showProgress();
-        this.updateProgress(0, `Starting generation of ${seeds.length} mazes...`);
+        this.updateProgress(0, `Starting generation of ${mazeCount} mazes...`);
         
-        const totalSteps = seeds.length * (generateMaze + generateSolution + generateDistance);
         let currentStep = 0;
         
-        for (let i = 0; i < seeds.length; i++) {
-            const seed = seeds[i];
-            
-            try {
-                this.updateProgress(currentStep / totalSteps, `Generating maze ${i + 1} of ${seeds.length} (seed: ${seed})...`);
-                console.log(`Generating maze for seed: ${seed}`); // Debug log
-                
-                const maze = await this.generateMazeForSeed(seed);
-                
-                if (generateMaze) {
-                    const mazeSvg = this.generateMazeSvg(maze, seed);
-                    this.generatedFiles.push({
-                        name: `Map_maze_${this.model.shape}_${Object.values(this.model.size).join('_')}_${seed}.svg`,
-                        content: mazeSvg
-                    });
-                    currentStep++;
-                }
-                
-                if (generateSolution) {
-                    const solutionSvg = this.generateSolutionSvg(maze, seed);
-                    this.generatedFiles.push({
-                        name: `Sol_maze_${this.model.shape}_${Object.values(this.model.size).join('_')}_${seed}.svg`,
-                        content: solutionSvg
-                    });
-                    currentStep++;
+        for (let i = 0; i < combinations.length; i++) {
+            const combination = combinations[i];
+            // Each combination gets its own folder in the ZIP file when running a matrix
+            const folder = this.model.matrixMode ? `${getCombinationFolder(combination)}/` : '';
+            const description = this.model.matrixMode ? `${getCombinationFolder(combination)}, ` : '';
+            let acceptedCount = 0;
+            let attemptCount = 0;
+            // The shape is needed to draw arrows along the solutions, and can be different for each combination
+            const imageFormats = {...formats, shape: combination.shape};
+
+            for (const seed of seeds) {
+                if (acceptedCount === mazesPerCombination) {
+                    break;
                 }
+                attemptCount++;
+                let maze = null;
                 
-                if (generateDistance) {
-                    const distanceSvg = this.generateDistanceSvg(maze, seed);
-                    this.generatedFiles.push({
-                        name: `Dist_maze_${this.model.shape}_${Object.values(this.model.size).join('_')}_${seed}.svg`,
-                        content: distanceSvg
-                    });
+                try {
+                    this.updateProgress(currentStep / mazeCount, `Generating maze ${currentStep + 1} of ${mazeCount} (${description}seed: ${seed})...`);
+                    
+                    maze = await this.generateMazeForSeed(seed, combination);
+                    const stats = filter || generateStats ? computeMazeStats(maze) : null;
+                    
+                    if (filter) {
+                        const failures = checkConstraints(stats, filter.constraints);
+                        if (failures.length) {
+                            this.rejections.push(`${description}Seed ${seed}: ${failures.join(', ')}`);
+                            continue;
+                        }
+                    }
+                    acceptedCount++;
+                    
+                    if (generateStats) {
+                        this.statsRows.push(buildStatsRow(combination, seed, stats));
+                    }
+                    
+                    if (generateMaze) {
+                        await this.addImageFiles(folder + buildFileName(FILE_PREFIX_MAZE, combination, seed, ''), imageFormats, render => render(maze), {kind: FILE_PREFIX_MAZE, folder, seed});
+                    }
+                    
+                    if (generateSolution) {
+                        await this.addImageFiles(folder + buildFileName(FILE_PREFIX_SOLUTION, combination, seed, ''), imageFormats, render => renderWithSolution(maze, render), {kind: FILE_PREFIX_SOLUTION, folder, seed});
+                    }
+                    
+                    if (generateDistance) {
+                        await this.addImageFiles(folder + buildFileName(FILE_PREFIX_DISTANCE, combination, seed, ''), imageFormats, render => renderWithDistances(maze, render), {kind: FILE_PREFIX_DISTANCE, folder, seed});
+                    }
+                    
+                    if (generateJson) {
+                        this.generatedFiles.push({
+                            name: folder + buildFileName(FILE_PREFIX_DATA, combination, seed, 'json'),
+                            content: mazeToJsonText(maze, {...combination, seed}),
+                            type: 'application/json;charset=utf-8'
+                        });
+                    }
+                    
                     currentStep++;
+                    this.updateProgress(currentStep / mazeCount, `Generated maze ${currentStep} of ${mazeCount} (${description}seed: ${seed})`);
+                    
+                } catch (error) {
+                    this.errors.push(`${description}Seed ${seed}: ${error.message}`);
+                    if (!filter) {
+                        currentStep++;
+                    }
+                } finally {
+                    // A filter can reject thousands of mazes, so each one is disposed of as soon as it has been rendered or rejected
+                    if (maze) {
+                        maze.dispose();
+                    }
                 }
-                
-                this.updateProgress(currentStep / totalSteps, `Generated maze ${i + 1} of ${seeds.length} (seed: ${seed})`);
-                
-            } catch (error) {
-                this.errors.push(`Seed ${seed}: ${error.message}`);
-                currentStep += (generateMaze + generateSolution + generateDistance);
             }
+
+            if (filter && acceptedCount < mazesPerCombination) {
+                this.errors.push(`${description}Only ${acceptedCount} of ${mazesPerCombination} mazes met the criteria after ${attemptCount} attempts`);
+            }
+            currentStep = (i + 1) * mazesPerCombination;
+        }
+        
+        if (this.statsRows.length) {
+            this.generatedFiles.push({
+                name: 'stats.csv',
+                content: buildStatsCsv(this.statsRows),
+                type: 'text/csv;charset=utf-8'
+            }, {
+                name: 'stats.json',
+                content: JSON.stringify(this.statsRows, null, 2),
+                type: 'application/json;charset=utf-8'
+            });
         }
         
         this.isGenerating = false;
@@ -499,95 +1166,66 @@ class BatchGenerator {
         this.flashProgressBar();
     }
 
-    async generateMazeForSeed(seed) {
-        // Create grid configuration exactly like the original code
-        const grid = Object.assign({'cellShape': this.model.shape}, this.model.size);
-        
-        // Create a temporary canvas element for batch generation
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = 500;
-        tempCanvas.height = 500;
+    buildCandidateSeeds(seeds, maxAttempts) {
+        const candidates = seeds.slice(0, maxAttempts);
+        const used = new Set(candidates);
         
-        console.log('Grid config:', grid); // Debug log
-        console.log('Algorithm:', this.model.algorithm); // Debug log
-        console.log('Seed:', seed); // Debug log
-        console.log('Exit config:', this.model.exitConfig); // Debug log
-        
-        const maze = buildMaze({
-            grid,
-            'algorithm': this.model.algorithm,
-            'randomSeed': seed,
-            'element': tempCanvas,
-            'mask': [],
-            'exitConfig': this.model.exitConfig
-        });
-        
-        // Run algorithm to completion
-        maze.runAlgorithm.toCompletion();
+        while (candidates.length < maxAttempts) {
+            const randomSeed = Math.floor(Math.random() * 999999) + 1;
+            if (!used.has(randomSeed)) {
+                used.add(randomSeed);
+                candidates.push(randomSeed);
+            }
+        }
         
-        return maze;
+        return candidates;
     }
 
-    generateMazeSvg(maze, seed) {
-        const SVG_SIZE = 500;
-        const elSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        elSvg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
-        elSvg.setAttribute('width', SVG_SIZE);
-        elSvg.setAttribute('height', SVG_SIZE);
-        
-        const svgDrawingSurface = drawingSurfaces.svg({el: elSvg});
-        maze.render(svgDrawingSurface);
-        
-        const svgData = elSvg.outerHTML;
-        const prolog = '<?xml version="1.0" standalone="no"?>';
-        return prolog + svgData;
-    }
-
-    generateSolutionSvg(maze, seed) {
-        // Find start and end cells
-        let startCell, endCell;
-        maze.forEachCell(cell => {
-            if (cell.metadata[METADATA_START_CELL]) startCell = cell;
-            if (cell.metadata[METADATA_END_CELL]) endCell = cell;
-        });
-        
-        if (!startCell || !endCell) {
-            throw new Error('No start/end cells found');
+    async generateMazeForSeed(seed, combination = {...this.model, mask: this.getCurrentMask()}) {
+        // Mazes are built one at a time, so they can all share the same temporary canvas element
+        if (!this.tempCanvas) {
+            this.tempCanvas = document.createElement('canvas');
+            this.tempCanvas.width = SVG_SIZE;
+            this.tempCanvas.height = SVG_SIZE;
         }
-        
-        // Find solution path
-        maze.findPathBetween(startCell.coords, endCell.coords);
-        
-        // Generate SVG
-        const svg = this.generateMazeSvg(maze, seed);
-        
-        // Clear path for next use
-        maze.clearPathAndSolution();
-        
-        return svg;
+
+        return buildMazeForSeed(combination, seed, this.tempCanvas);
     }
 
-    generateDistanceSvg(maze, seed) {
-        // Find start cell for distance calculation
-        let startCell;
-        maze.forEachCell(cell => {
-            if (cell.metadata[METADATA_START_CELL]) startCell = cell;
-        });
-        
-        if (!startCell) {
-            startCell = maze.randomCell();
+    generateMazeSvg(maze, seed) {
+        return renderSvg(maze, this.model.theme);
+    }
+
+    getImageFormats() {
+        return {
+            svg: document.getElementById('formatSvg').checked,
+            png: document.getElementById('formatPng').checked,
+            pngSize: parseInt(document.getElementById('pngSize').value),
+            pngDpi: parseInt(document.getElementById('pngDpi').value),
+            theme: this.model.theme,
+            solutionArrows: document.getElementById('solutionArrows').checked
+        };
+    }
+
+    // The render function passed to renderWith draws the maze in one particular format, renderWith takes care of showing the solution etc first
+    // The image details ({kind, folder, seed}) are recorded against each file so that the print book can find the mazes and their solutions
+    async addImageFiles(baseName, formats, renderWith, image) {
+        if (formats.svg) {
+            this.generatedFiles.push({
+                name: `${baseName}svg`,
+                content: renderWith(maze => renderSvg(maze, formats.theme, formats)),
+                image
+            });
+        }
+        if (formats.png) {
+            const canvas = renderWith(maze => renderMazeToCanvas(maze, formats.pngSize, formats.theme, formats));
+            this.generatedFiles.push({
+                name: `${baseName}png`,
+                content: await canvasToPng(canvas, formats.pngDpi),
+                type: 'image/png',
+                image
+            });
         }
-        
-        // Calculate distances from start cell
-        maze.findDistancesFrom(...startCell.coords);
-        
-        // Generate SVG
-        const svg = this.generateMazeSvg(maze, seed);
-        
-        // Clear distances for next use
-        maze.clearDistances();
-        
-        return svg;
     }
 
     showProgress() {
@@ -622,9 +1260,16 @@ class BatchGenerator {
             ${successCount > 0 ? 'Click "Download ZIP" to save all files.' : ''}
         `;
         
-        // Show errors if any
+        // Show errors and any seeds rejected by the difficulty filter
+        const logSections = [];
         if (this.errors.length > 0) {
-            errorLog.innerHTML = '<strong>Errors:</strong><br>' + this.errors.join('<br>');
+            logSections.push('<strong>Errors:</strong><br>' + this.errors.join('<br>'));
+        }
+        if (this.rejections.length > 0) {
+            logSections.push(`<strong>Rejected seeds (${this.rejections.length}):</strong><br>` + this.rejections.join('<br>'));
+        }
+        if (logSections.length > 0) {
+            errorLog.innerHTML = logSections.join('<br><br>');
             errorLog.style.display = 'block';
         } else {
             errorLog.style.display = 'none';
@@ -689,13 +1334,7 @@ class BatchGenerator {
         const a = document.createElement('a');
         a.href = url;
         
-        // Create descriptive filename with maze configuration
-        const algorithmName = this.getAlgorithmDisplayName(this.model.algorithm);
-        const shapeName = this.model.shape.charAt(0).toUpperCase() + this.model.shape.slice(1);
-        const sizeString = Object.values(this.model.size).join('x');
-        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-        
-        a.download = `${algorithmName} ${shapeName} ${sizeString} ${timestamp}.zip`;
+        a.download = this.model.matrixMode ? buildMatrixZipFileName() : buildZipFileName(this.model);
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -704,13 +1343,73 @@ class BatchGenerator {
         alert(`Successfully downloaded ZIP file with ${this.generatedFiles.length} files!`);
     }
 
+    // Pairs up each maze image with the solution for the same seed, SVG files are used in preference to PNG if both were generated
+    getBookMazes() {
+        const findImage = (kind, folder, seed) => {
+            const files = this.generatedFiles.filter(file => file.image && file.image.kind === kind && file.image.folder === folder && file.image.seed === seed);
+            const file = files.find(file => !file.type) || files[0];
+            return file && new Blob([file.content], {type: file.type || 'image/svg+xml;charset=utf-8'});
+        };
+
+        const mazes = new Map();
+        this.generatedFiles.filter(file => file.image && file.image.kind === FILE_PREFIX_MAZE).forEach(file => {
+            const {folder, seed} = file.image;
+            if (!mazes.has(folder + seed)) {
+                mazes.set(folder + seed, {
+                    image: findImage(FILE_PREFIX_MAZE, folder, seed),
+                    solutionImage: findImage(FILE_PREFIX_SOLUTION, folder, seed),
+                    caption: folder ? `${folder.slice(0, -1)} - Seed ${seed}` : `Seed ${seed}`
+                });
+            }
+        });
+        return [...mazes.values()];
+    }
+
+    async downloadBook() {
+        const mazes = this.getBookMazes();
+        if (mazes.length === 0) {
+            alert('Select the Maze Map option and generate a batch before creating a book');
+            return;
+        }
+
+        const margin = parseFloat(document.getElementById('bookMargin').value);
+        if (!(margin >= 0 && margin <= 50)) {
+            alert('The margin must be between 0 and 50 mm');
+            return;
+        }
+
+        const downloadButton = document.getElementById('downloadBook');
+        downloadButton.disabled = true;
+        try {
+            const pdf = await buildPuzzleBook(mazes, {
+                paperSize: document.getElementById('bookPaperSize').value,
+                mazesPerPage: parseInt(document.getElementById('bookMazesPerPage').value),
+                margin,
+                title: document.getElementById('bookTitle').value
+            });
+
+            const url = URL.createObjectURL(pdf);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = (this.model.matrixMode ? buildMatrixZipFileName() : buildZipFileName(this.model)).replace(/\.zip$/, '.pdf');
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            alert('Unable to create book: ' + error.message);
+        } finally {
+            downloadButton.disabled = false;
+        }
+    }
+
     downloadFilesIndividually() {
         this.generatedFiles.forEach(file => {
-            const blob = new Blob([file.content], {type: 'image/svg+xml;charset=utf-8'});
+            const blob = new Blob([file.content], {type: file.type || 'image/svg+xml;charset=utf-8'});
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
-            a.download = file.name;
+            a.download = file.name.split('/').pop();
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
@@ -720,16 +1419,6 @@ class BatchGenerator {
         alert(`Downloaded ${this.generatedFiles.length} files individually.`);
     }
 
-    getAlgorithmDisplayName(algorithmId) {
-        // Get the display name from the algorithms object
-        const algorithm = algorithms[algorithmId];
-        if (algorithm && algorithm.metadata && algorithm.metadata.description) {
-            return algorithm.metadata.description;
-        }
-        // Fallback to algorithm ID if description not found
-        return algorithmId;
-    }
-
     async testSeedConsistency() {
         console.log('Testing seed consistency...');
         const testSeed = 123;
@@ -737,10 +1426,12 @@ class BatchGenerator {
         // Generate maze 1
         const maze1 = await this.generateMazeForSeed(testSeed);
         const svg1 = this.generateMazeSvg(maze1, testSeed);
+        maze1.dispose();
         
         // Generate maze 2 with same seed
         const maze2 = await this.generateMazeForSeed(testSeed);
         const svg2 = this.generateMazeSvg(maze2, testSeed);
+        maze2.dispose();
         
         // Compare the SVGs
         if (svg1 === svg2) {
@@ -0,0 +1,54 @@
+import {getMaskKey} from './mask.js';
+
+export function parseSizeList(text, min, max) {
+    const values = String(text).split(',').map(part => part.trim()).filter(part => part.length).map(part => {
+        const value = Number(part);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`Enter numbers between ${min} and ${max}`);
+        }
+        return value;
+    });
+
+    if (!values.length) {
+        throw new Error('Enter at least one value');
+    }
+
+    return [...new Set(values)];
+}
+
+function crossProduct(valueLists) {
+    return Object.entries(valueLists).reduce((combinations, [name, values]) => {
+        return combinations.flatMap(combination => values.map(value => ({...combination, [name]: value})));
+    }, [{}]);
+}
+
+/*
+ Expands a matrix of the form {shapes: [...], sizes: {shape: {parameter: [values...]}}, algorithms: [...], exitConfigs: [...]}
+ into the list of individual maze configurations that it describes. Algorithms are only combined with shapes that they
+ support, and when a mask has been saved for a particular shape and size only maskable algorithms are used with it.
+ */
+export function expandMatrix(matrix, algorithms, masks = {}) {
+    const combinations = [];
+
+    matrix.shapes.forEach(shape => {
+        crossProduct(matrix.sizes[shape] || {}).forEach(size => {
+            const mask = masks[getMaskKey(shape, size)] || [];
+
+            matrix.algorithms.filter(algorithmId => {
+                const metadata = algorithms[algorithmId].metadata;
+                return metadata.shapes.includes(shape) && (metadata.maskable || !mask.length);
+
+            }).forEach(algorithm => {
+                matrix.exitConfigs.forEach(exitConfig => {
+                    combinations.push({shape, size, algorithm, exitConfig, mask});
+                });
+            });
+        });
+    });
+
+    return combinations;
+}
+
+export function getCombinationFolder(combination) {
+    return `${combination.shape}_${Object.values(combination.size).join('x')}_${combination.algorithm}_${combination.exitConfig}`;
+}
@@ -0,0 +1,47 @@
+import {METADATA_MASKED} from './lib/constants.js';
+
+export const DEFAULT_BRAID = 0,
+    MIN_BRAID = 0,
+    MAX_BRAID = 100;
+
+export function isValidBraid(braid) {
+    return Number.isInteger(braid) && braid >= MIN_BRAID && braid <= MAX_BRAID;
+}
+
+function isDeadEnd(cell) {
+    return cell.neighbours.linkedDirections().length === 1;
+}
+
+/*
+ Turns a perfect maze into one with loops by removing a wall next to some of its dead ends. The braid value is the
+ percentage of the dead ends to remove, they are picked using the random object so the same seed always gives the same
+ maze. Where possible a dead end is joined to a neighbouring dead end, which removes two of them with a single wall.
+ */
+export function braidMaze(maze, braid, random) {
+    const deadEnds = [];
+    maze.forEachCell(cell => {
+        if (isDeadEnd(cell)) {
+            deadEnds.push(cell);
+        }
+    });
+
+    // Shuffle the dead ends so that the ones that get removed are spread across the whole maze
+    for (let i = deadEnds.length - 1; i > 0; i--) {
+        const j = random.int(i + 1);
+        [deadEnds[i], deadEnds[j]] = [deadEnds[j], deadEnds[i]];
+    }
+
+    deadEnds.slice(0, Math.round(deadEnds.length * braid / 100)).forEach(cell => {
+        // An earlier wall may already have joined this cell to one of its neighbours
+        if (!isDeadEnd(cell)) {
+            return;
+        }
+        const candidates = cell.neighbours.toArray(neighbour => !neighbour.metadata[METADATA_MASKED] && !cell.isLinkedTo(neighbour));
+        if (!candidates.length) {
+            return;
+        }
+        const deadEndCandidates = candidates.filter(isDeadEnd),
+            choices = deadEndCandidates.length ? deadEndCandidates : candidates;
+        cell.link(choices[random.int(choices.length)]);
+    });
+}
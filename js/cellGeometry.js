@@ -0,0 +1,179 @@
+import {SHAPE_SQUARE, SHAPE_TRIANGLE, SHAPE_HEXAGON, SHAPE_CIRCLE} from './lib/constants.js';
+
+/*
+ Works out where each cell of a maze is drawn, using the same units as the library's drawing code (one unit is roughly the
+ width of one cell) so that extra information can be drawn on top of a maze after it has been rendered. The library
+ tells the drawing surface how much space it needs, and the cells are centred within that space in the same way.
+ */
+const TRIANGLE_HEIGHT = Math.sqrt(3) / 2,
+    HEXAGON_HEIGHT = Math.sqrt(3),
+    ARC_POINTS_PER_RADIAN = 8;
+
+function getLayerSizes(maze) {
+    const layerSizes = [];
+    maze.forEachCell(cell => {
+        const [layer] = cell.coords;
+        layerSizes[layer] = (layerSizes[layer] || 0) + 1;
+    });
+    return layerSizes;
+}
+
+function arcPoints(cx, cy, r, startAngle, endAngle) {
+    const pointCount = Math.max(2, Math.ceil((endAngle - startAngle) * ARC_POINTS_PER_RADIAN)),
+        points = [];
+    for (let i = 0; i <= pointCount; i++) {
+        const angle = startAngle + (endAngle - startAngle) * i / pointCount;
+        points.push({x: cx + r * Math.cos(angle), y: cy + r * Math.sin(angle)});
+    }
+    return points;
+}
+
+function buildShapeLayout(maze, shape) {
+    "use strict";
+    switch (shape) {
+        case SHAPE_SQUARE: {
+            let width = 0, height = 0;
+            maze.forEachCell(({coords: [x, y]}) => {
+                width = Math.max(width, x + 1);
+                height = Math.max(height, y + 1);
+            });
+            return {
+                width, height,
+                polygon([x, y]) {
+                    return [{x, y}, {x: x + 1, y}, {x: x + 1, y: y + 1}, {x, y: y + 1}];
+                }
+            };
+        }
+        case SHAPE_TRIANGLE: {
+            let width = 0, height = 0;
+            maze.forEachCell(({coords: [x, y]}) => {
+                width = Math.max(width, (x + 2) / 2);
+                height = Math.max(height, (y + 1) * TRIANGLE_HEIGHT);
+            });
+            return {
+                width, height,
+                polygon([x, y]) {
+                    const left = x / 2, top = y * TRIANGLE_HEIGHT, bottom = top + TRIANGLE_HEIGHT,
+                        pointsUp = (x + y) % 2 === 0;
+                    return pointsUp ?
+                        [{x: left, y: bottom}, {x: left + 0.5, y: top}, {x: left + 1, y: bottom}] :
+                        [{x: left, y: top}, {x: left + 1, y: top}, {x: left + 0.5, y: bottom}];
+                }
+            };
+        }
+        case SHAPE_HEXAGON: {
+            // Flat-topped hexagons with a side length of 1, every other column is shifted down by half a hexagon
+            const centre = ([x, y]) => ({x: 1 + 1.5 * x, y: HEXAGON_HEIGHT * (y + 0.5 + (x % 2) / 2)});
+            let width = 0, height = 0;
+            maze.forEachCell(({coords}) => {
+                const {x, y} = centre(coords);
+                width = Math.max(width, x + 1);
+                height = Math.max(height, y + HEXAGON_HEIGHT / 2);
+            });
+            return {
+                width, height,
+                polygon(coords) {
+                    const {x, y} = centre(coords);
+                    return [0, 1, 2, 3, 4, 5].map(i => ({x: x + Math.cos(i * Math.PI / 3), y: y + Math.sin(i * Math.PI / 3)}));
+                }
+            };
+        }
+        case SHAPE_CIRCLE: {
+            // Layer 0 is the single cell in the centre, each layer after that is a ring one unit wide divided into equal segments
+            const layerSizes = getLayerSizes(maze),
+                radius = layerSizes.length;
+            return {
+                width: 2 * radius,
+                height: 2 * radius,
+                polygon([layer, index]) {
+                    if (layer === 0) {
+                        return arcPoints(radius, radius, 1, 0, 2 * Math.PI);
+                    }
+                    const segmentAngle = 2 * Math.PI / layerSizes[layer],
+                        startAngle = index * segmentAngle,
+                        endAngle = startAngle + segmentAngle;
+                    return [
+                        ...arcPoints(radius, radius, layer, startAngle, endAngle),
+                        ...arcPoints(radius, radius, layer + 1, startAngle, endAngle).reverse()
+                    ];
+                }
+            };
+        }
+        default:
+            throw new Error(`Unknown maze shape '${shape}'`);
+    }
+}
+
+export function buildCellGeometry(maze, shape, requiredWidth, requiredHeight) {
+    const layout = buildShapeLayout(maze, shape),
+        xOffset = (requiredWidth - layout.width) / 2,
+        yOffset = (requiredHeight - layout.height) / 2;
+
+    return {
+        polygon(cell) {
+            return layout.polygon(cell.coords).map(({x, y}) => ({x: x + xOffset, y: y + yOffset}));
+        },
+        centre(cell) {
+            const points = this.polygon(cell);
+            return {
+                x: points.reduce((total, point) => total + point.x, 0) / points.length,
+                y: points.reduce((total, point) => total + point.y, 0) / points.length
+            };
+        }
+    };
+}
+
+// Draws a triangular arrow centred on 'from' and pointing towards 'to', the size is a fraction of the distance between them
+export function fillArrow(surface, from, to, size) {
+    const dx = (to.x - from.x) * size,
+        dy = (to.y - from.y) * size;
+
+    surface.fillPolygon(
+        {x: from.x + dx, y: from.y + dy},
+        {x: from.x - dx / 2 - dy / 2, y: from.y - dy / 2 + dx / 2},
+        {x: from.x - dx / 2 + dy / 2, y: from.y - dy / 2 - dx / 2}
+    );
+}
+
+/*
+ Returns whichever of the cell's open passages points closest to the angle (in radians, measured clockwise from the
+ right-hand side of the screen), or undefined if none of them are within 90 degrees of it. This lets directional input
+ such as a swipe or a gamepad stick be used with any shape of maze.
+ */
+export function findLinkedDirectionClosestToAngle(maze, shape, cell, angle) {
+    // Only the positions of the cells relative to each other matter here, so there's no need to centre the geometry
+    const geometry = buildCellGeometry(maze, shape, 0, 0),
+        centre = geometry.centre(cell);
+
+    let closestDirection, smallestDifference = Math.PI / 2;
+    cell.neighbours.linkedDirections().forEach(direction => {
+        const neighbourCentre = geometry.centre(cell.neighbours[direction]),
+            directionAngle = Math.atan2(neighbourCentre.y - centre.y, neighbourCentre.x - centre.x),
+            difference = Math.abs(Math.atan2(Math.sin(angle - directionAngle), Math.cos(angle - directionAngle)));
+        if (difference < smallestDifference) {
+            smallestDifference = difference;
+            closestDirection = direction;
+        }
+    });
+    return closestDirection;
+}
+
+/*
+ Renders the maze onto the drawing surface and then calls each of the overlay functions, which are passed the surface
+ and the geometry of the maze's cells so they can draw on top of it
+ */
+export function renderWithOverlays(maze, surface, shape, overlays) {
+    let requiredWidth, requiredHeight;
+    const measuringSurface = Object.assign({}, surface, {
+        setSpaceRequirements(width, height, ...otherArgs) {
+            requiredWidth = width;
+            requiredHeight = height;
+            surface.setSpaceRequirements(width, height, ...otherArgs);
+        }
+    });
+
+    maze.render(measuringSurface);
+
+    const geometry = buildCellGeometry(maze, shape, requiredWidth, requiredHeight);
+    overlays.forEach(overlay => overlay(surface, geometry));
+}
@@ -0,0 +1,24 @@
+export const CHALLENGE_OFF = 'off',
+    CHALLENGE_EASY = 'easy',
+    CHALLENGE_NORMAL = 'normal',
+    CHALLENGE_HARD = 'hard',
+    CHALLENGE_DIFFICULTIES = [
+        {description: 'No Time Limit', value: CHALLENGE_OFF},
+        {description: 'Countdown: Easy', value: CHALLENGE_EASY, secondsPerCell: 2, minimumSeconds: 30},
+        {description: 'Countdown: Normal', value: CHALLENGE_NORMAL, secondsPerCell: 1, minimumSeconds: 15},
+        {description: 'Countdown: Hard', value: CHALLENGE_HARD, secondsPerCell: 0.5, minimumSeconds: 10}
+    ],
+    CHALLENGE_TIMER_INTERVAL_MILLIS = 200,
+    CHALLENGE_WARNING_MILLIS = 10 * 1000;
+
+/*
+ The time allowed for a challenge depends on how long the optimal route through the maze is, so that bigger mazes get
+ more time. There is a minimum limit for each difficulty, otherwise very small mazes would be almost impossible.
+ */
+export function getTimeLimitMillis(difficultyValue, optimalPathLength) {
+    const difficulty = CHALLENGE_DIFFICULTIES.find(difficulty => difficulty.value === difficultyValue);
+    if (!difficulty || difficulty.value === CHALLENGE_OFF) {
+        return null;
+    }
+    return 1000 * Math.max(difficulty.minimumSeconds, Math.ceil(difficulty.secondsPerCell * optimalPathLength));
+}
@@ -0,0 +1,111 @@
+import {METADATA_PATH} from './lib/constants.js';
+import {findCheapestPath} from './terrain.js';
+import {METADATA_KEY, isLockedDoor, findNextKeyCell} from './puzzle.js';
+
+export const MAX_CHECKPOINTS = 5;
+
+const CHECKPOINT_COLOUR = 'rgba(156, 39, 176, 0.35)',
+    NEXT_CHECKPOINT_COLOUR = 'rgba(156, 39, 176, 0.75)',
+    REACHED_CHECKPOINT_COLOUR = 'rgba(0, 0, 0, 0.15)',
+    PIP_COLOUR = 'rgba(255, 255, 255, 0.9)',
+    PIP_SIZE = 0.15,
+    PIP_SPREAD = 0.4;
+
+/*
+ Checkpoints are stored as a list of cell coordinates, in the order that they must be visited on the way from the start
+ of the maze to the finish. Any that aren't in the maze are ignored.
+ */
+export function findCheckpointCells(maze, checkpoints) {
+    return checkpoints.map(coords => maze.getCellByCoordinates(coords)).filter(cell => cell);
+}
+
+// Selecting a checkpoint again removes it, selecting any other cell adds it to the end of the list
+export function toggleCheckpoint(checkpoints, coords) {
+    const isSameCell = otherCoords => otherCoords.join() === coords.join(),
+        remainingCheckpoints = checkpoints.filter(otherCoords => !isSameCell(otherCoords));
+    return remainingCheckpoints.length < checkpoints.length ? remainingCheckpoints : [...checkpoints, coords];
+}
+
+/*
+ The cheapest route from startCell to endCell that goes through each of the checkpoint cells in order (see findCheapestPath
+ in terrain.js). Where a checkpoint is in a dead end the route goes in and comes back out the same way, so some cells
+ appear twice.
+ If the maze has a keys and doors puzzle (see puzzle.js) the route can't go through a door until it has picked up the key,
+ starting with the ids in heldKeys. Whenever the way on is blocked the route goes to fetch the key for the first door
+ that is still locked, so it runs from the start to each key and through its door in turn.
+ */
+export function findRouteViaCheckpoints(maze, startCell, endCell, checkpointCells, heldKeys = new Set()) {
+    const keys = new Set(heldKeys),
+        canMove = (fromCell, toCell) => !isLockedDoor(toCell, keys),
+        targets = [...checkpointCells, endCell],
+        route = [startCell];
+
+    while (targets.length) {
+        const fromCell = route[route.length - 1];
+        let path = findCheapestPath(maze, fromCell, targets[0], canMove);
+
+        if (!path.length) {
+            const keyCell = findNextKeyCell(maze, keys);
+            if (keyCell && keyCell !== targets[0]) {
+                targets.unshift(keyCell);
+                continue;
+            }
+            // Only happens if a key can't be reached, in which case the route goes straight through the door
+            path = findCheapestPath(maze, fromCell, targets[0]);
+        }
+
+        // Each part of the route begins with the cell where the previous part ended
+        route.push(...path.slice(1));
+        path.filter(cell => cell.metadata[METADATA_KEY] !== undefined).forEach(cell => keys.add(cell.metadata[METADATA_KEY]));
+        targets.shift();
+    }
+    return route;
+}
+
+// Stores the route in the same way as the maze's own findPathBetween method, so that it is rendered as the solution
+export function findPathViaCheckpoints(maze, fromCoords, toCoords, checkpointCells, heldKeys) {
+    const route = findRouteViaCheckpoints(maze, maze.getCellByCoordinates(fromCoords), maze.getCellByCoordinates(toCoords), checkpointCells, heldKeys);
+    maze.metadata[METADATA_PATH] = route.map(cell => cell.coords);
+}
+
+/*
+ The different cells on a route found by findRouteViaCheckpoints. Cells that the route passes through more than once are
+ only included once, so that the result can be compared with the cells a player visited.
+ */
+export function getRouteCells(route) {
+    return [...new Set(route)];
+}
+
+// Draws a number of small markers around the centre of a cell, so that the order of the checkpoints can be seen
+function fillPips(surface, geometry, cell, count) {
+    const centre = geometry.centre(cell),
+        polygon = geometry.polygon(cell),
+        spread = count > 1 ? Math.min(...polygon.map(({x, y}) => Math.hypot(x - centre.x, y - centre.y))) * PIP_SPREAD : 0;
+
+    for (let i = 0; i < count; i++) {
+        const angle = 2 * Math.PI * i / count - Math.PI / 2,
+            pipCentre = {x: centre.x + spread * Math.cos(angle), y: centre.y + spread * Math.sin(angle)};
+        surface.fillPolygon(...polygon.map(({x, y}) => ({x: pipCentre.x + (x - centre.x) * PIP_SIZE, y: pipCentre.y + (y - centre.y) * PIP_SIZE})));
+    }
+}
+
+/*
+ Returns an overlay (see renderWithOverlays) that shades each checkpoint and marks it with its position in the order.
+ Checkpoints before reachedCount are shown as visited, and the one after them is highlighted as the next to visit.
+ */
+export function buildCheckpointOverlay(checkpointCells, reachedCount = 0) {
+    return (surface, geometry) => {
+        checkpointCells.forEach((cell, index) => {
+            if (index < reachedCount) {
+                surface.setColour(REACHED_CHECKPOINT_COLOUR);
+            } else if (index === reachedCount) {
+                surface.setColour(NEXT_CHECKPOINT_COLOUR);
+            } else {
+                surface.setColour(CHECKPOINT_COLOUR);
+            }
+            surface.fillPolygon(...geometry.polygon(cell));
+            surface.setColour(PIP_COLOUR);
+            fillPips(surface, geometry, cell, index + 1);
+        });
+    };
+}
@@ -0,0 +1,66 @@
+import {STATS_FIELDS} from './stats.js';
+
+export const CONSTRAINT_UNIT_CELLS = 'cells',
+    CONSTRAINT_UNIT_PERCENT = 'percent';
+
+const FILTERABLE_STATS = ['solutionLength', 'deadEnds', 'junctions', 'longestPath', 'averageCorridorLength', 'longestCorridor', 'riverFactor', 'difficulty'];
+
+export const CONSTRAINT_METRICS = STATS_FIELDS.filter(field => FILTERABLE_STATS.includes(field.key));
+
+export const CONSTRAINT_OPERATORS = {
+    '>=': (actual, required) => actual >= required,
+    '<=': (actual, required) => actual <= required,
+    '>':  (actual, required) => actual > required,
+    '<':  (actual, required) => actual < required,
+    '=':  (actual, required) => actual === required
+};
+
+// Percentages are relative to the number of cells in the maze, eg 'solution length >= 60%' of a 100 cell maze means at least 60 cells
+function getRequiredValue(constraint, stats) {
+    if (constraint.unit === CONSTRAINT_UNIT_PERCENT) {
+        return stats.cellCount * constraint.value / 100;
+    }
+    return constraint.value;
+}
+
+export function describeConstraint(constraint) {
+    const metric = CONSTRAINT_METRICS.find(metric => metric.key === constraint.metric),
+        unit = constraint.unit === CONSTRAINT_UNIT_PERCENT ? '% of cells' : '';
+    return `${metric ? metric.description : constraint.metric} ${constraint.operator} ${constraint.value}${unit}`;
+}
+
+// Returns a description of each constraint that the maze failed to meet, so an empty list means the maze is acceptable
+export function checkConstraints(stats, constraints) {
+    return constraints.filter(constraint => {
+        const actual = stats[constraint.metric];
+        return actual === null || actual === undefined || !CONSTRAINT_OPERATORS[constraint.operator](actual, getRequiredValue(constraint, stats));
+    }).map(constraint => `${describeConstraint(constraint)} (was ${stats[constraint.metric]})`);
+}
+
+export function validateConstraint(constraint) {
+    if (!CONSTRAINT_METRICS.some(metric => metric.key === constraint.metric)) {
+        throw new Error(`Unknown statistic '${constraint.metric}', expected one of: ${CONSTRAINT_METRICS.map(metric => metric.key).join(', ')}`);
+    }
+    if (!CONSTRAINT_OPERATORS[constraint.operator]) {
+        throw new Error(`Unknown comparison '${constraint.operator}'`);
+    }
+    if (!Number.isFinite(constraint.value)) {
+        throw new Error(`Enter a number to compare ${constraint.metric} with`);
+    }
+    return constraint;
+}
+
+// Parses constraints written as text, eg 'solutionLength>=60%' or 'deadEnds>=30'
+export function parseConstraint(text) {
+    const match = String(text).replace(/\s/g, '').match(/^(\w+)(>=|<=|>|<|=)(-?[\d.]+)(%?)$/);
+    if (!match) {
+        throw new Error(`Invalid constraint '${text}', expected something like 'deadEnds>=30' or 'solutionLength>=60%'`);
+    }
+    const [, metric, operator, value, percent] = match;
+    return validateConstraint({
+        metric,
+        operator,
+        value: Number(value),
+        unit: percent ? CONSTRAINT_UNIT_PERCENT : CONSTRAINT_UNIT_CELLS
+    });
+}
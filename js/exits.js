@@ -0,0 +1,143 @@
+import {METADATA_START_CELL, METADATA_END_CELL, SHAPE_CIRCLE} from './lib/constants.js';
+import {findCheapestRoutes, findDistances} from './pathfinding.js';
+
+export const EXITS_CUSTOM = 'custom',
+    EXITS_MAXIMALLY_DISTANT = 'maximallyDistant',
+    EXITS_RANDOM_PERIMETER = 'randomPerimeter';
+
+// These exits are placed by placeExits once the maze has been built, the maze library is told to build the maze without any
+export const PLACED_EXIT_CONFIGS = [EXITS_CUSTOM, EXITS_MAXIMALLY_DISTANT, EXITS_RANDOM_PERIMETER];
+
+export function isPlacedExitConfig(exitConfig) {
+    return PLACED_EXIT_CONFIGS.includes(exitConfig);
+}
+
+// Custom exits are stored as {start, end}, each holding the coordinates of a cell, and written as text like '3,7'
+export function formatCoords(coords) {
+    return coords.join(',');
+}
+
+export function isValidCoords(coords) {
+    return Array.isArray(coords) && coords.length === 2 && coords.every(value => Number.isInteger(value) && value >= 0);
+}
+
+export function parseCoords(text) {
+    const coords = (text || '').split(',').map(part => part.trim());
+    if (coords.length !== 2 || !coords.every(part => /^\d+$/.test(part))) {
+        return null;
+    }
+    return coords.map(Number);
+}
+
+export function setExits(maze, startCell, endCell) {
+    maze.clearMetadata(METADATA_START_CELL, METADATA_END_CELL);
+    startCell.metadata[METADATA_START_CELL] = true;
+    endCell.metadata[METADATA_END_CELL] = true;
+}
+
+// Returns null unless both of the cells exist in the maze and are different from each other
+export function findCustomExitCells(maze, customExits) {
+    if (!customExits) {
+        return null;
+    }
+    const startCell = maze.getCellByCoordinates(customExits.start),
+        endCell = maze.getCellByCoordinates(customExits.end);
+    if (!startCell || !endCell || startCell === endCell) {
+        return null;
+    }
+    return [startCell, endCell];
+}
+
+// Cells are on the perimeter if they are in the outer layer of a circular grid, or at the edge of any other shape of grid
+function isPerimeterCell(cell, shape, size) {
+    if (shape === SHAPE_CIRCLE) {
+        return cell.coords[0] === size.layers - 1;
+    }
+    const [x, y] = cell.coords;
+    return x === 0 || y === 0 || x === size.width - 1 || y === size.height - 1;
+}
+
+function findPerimeterCells(maze, shape, size) {
+    const perimeterCells = [];
+    maze.forEachCell(cell => {
+        if (isPerimeterCell(cell, shape, size)) {
+            perimeterCells.push(cell);
+        }
+    });
+    return perimeterCells;
+}
+
+/*
+ The maze library places EXITS_HARDEST exits on the perfect maze built by the algorithm, but once loops have been added
+ (see braid.js) those cells may no longer be the furthest apart. This searches from every cell around the edge of the maze
+ to find the two with the longest shortest route between them, and moves the exits there.
+ */
+export function placeHardestExits(maze, shape, size) {
+    const perimeterCells = findPerimeterCells(maze, shape, size);
+    let hardestCells = null,
+        hardestDistance = 0;
+
+    perimeterCells.forEach(cell => {
+        const distances = findDistances(cell);
+        perimeterCells.forEach(otherCell => {
+            if (distances.get(otherCell) > hardestDistance) {
+                hardestCells = [cell, otherCell];
+                hardestDistance = distances.get(otherCell);
+            }
+        });
+    });
+
+    if (hardestCells) {
+        setExits(maze, ...hardestCells);
+    }
+}
+
+function findFurthestCell(cell) {
+    const {costs} = findCheapestRoutes(cell, () => 1);
+    let furthestCell = cell;
+    costs.forEach((distance, otherCell) => {
+        if (distance > costs.get(furthestCell)) {
+            furthestCell = otherCell;
+        }
+    });
+    return furthestCell;
+}
+
+/*
+ Marks the start and end cells of a maze that was built using one of the PLACED_EXIT_CONFIGS, the config object is
+ {exitConfig, shape, size, customExits}. The random object is used to pick cells for EXITS_RANDOM_PERIMETER so that the
+ same seed always gives the same exits. Throws an Error if the exits can't be placed.
+ */
+export function placeExits(maze, config, random) {
+    let cells;
+
+    if (config.exitConfig === EXITS_CUSTOM) {
+        cells = findCustomExitCells(maze, config.customExits);
+        if (!cells) {
+            throw new Error('The start and finish must be two different cells in the maze');
+        }
+
+    } else if (config.exitConfig === EXITS_MAXIMALLY_DISTANT) {
+        // In a perfect maze the cell furthest from any other cell is at one end of the longest route, so searching again
+        // from there finds the other end
+        let anyCell;
+        maze.forEachCell(cell => {
+            anyCell = anyCell || cell;
+        });
+        const startCell = findFurthestCell(anyCell);
+        cells = [startCell, findFurthestCell(startCell)];
+
+    } else if (config.exitConfig === EXITS_RANDOM_PERIMETER) {
+        const perimeterCells = findPerimeterCells(maze, config.shape, config.size);
+        if (perimeterCells.length < 2) {
+            throw new Error('There are not enough cells around the edge of the maze to place the exits');
+        }
+        const startCell = perimeterCells.splice(random.int(perimeterCells.length), 1)[0];
+        cells = [startCell, perimeterCells[random.int(perimeterCells.length)]];
+
+    } else {
+        throw new Error(`Unknown exit configuration '${config.exitConfig}'`);
+    }
+
+    setExits(maze, ...cells);
+}
@@ -0,0 +1,76 @@
+import {METADATA_PLAYER_VISITED} from './lib/constants.js';
+
+export const FOG_OFF = 'off',
+    FOG_TORCH = 'torch',
+    FOG_LINE_OF_SIGHT = 'lineOfSight',
+    FOG_MODES = [
+        {description: 'No Fog', value: FOG_OFF},
+        {description: 'Fog: Torchlight', value: FOG_TORCH},
+        {description: 'Fog: Line of Sight', value: FOG_LINE_OF_SIGHT}
+    ],
+    DEFAULT_FOG_RADIUS = 3,
+    MIN_FOG_RADIUS = 1,
+    MAX_FOG_RADIUS = 20;
+
+const HIDDEN_COLOUR = '#333333',
+    REMEMBERED_COLOUR = 'rgba(51, 51, 51, 0.6)';
+
+function distanceBetween(point1, point2) {
+    return Math.hypot(point1.x - point2.x, point1.y - point2.y);
+}
+
+// Torchlight shows every cell within the radius, whether or not there is a wall in the way
+function findCellsInRadius(maze, currentCell, radius, geometry) {
+    const visibleCells = new Set([currentCell]),
+        currentCentre = geometry.centre(currentCell),
+        [neighbour] = currentCell.neighbours.toArray();
+
+    if (!neighbour) {
+        return visibleCells;
+    }
+    // The radius is measured in cells, so convert it into the units used by the geometry
+    const maxDistance = radius * distanceBetween(currentCentre, geometry.centre(neighbour)) * 1.01;
+    maze.forEachCell(cell => {
+        if (distanceBetween(currentCentre, geometry.centre(cell)) <= maxDistance) {
+            visibleCells.add(cell);
+        }
+    });
+    return visibleCells;
+}
+
+// Line of sight shows the cells that can be reached by moving in a straight line from the current cell, up to the radius
+function findCellsInLineOfSight(currentCell, radius) {
+    const visibleCells = new Set([currentCell]);
+
+    currentCell.neighbours.linkedDirections().forEach(direction => {
+        let cell = currentCell;
+        for (let distance = 0; distance < radius; distance++) {
+            const nextCell = cell.neighbours[direction];
+            if (!(nextCell && nextCell.isLinkedTo(cell))) {
+                break;
+            }
+            visibleCells.add(nextCell);
+            cell = nextCell;
+        }
+    });
+    return visibleCells;
+}
+
+/*
+ Returns an overlay (see renderWithOverlays) that hides every cell that the player can't currently see. Cells that the player
+ has already visited stay partly visible, so that they can remember where they have been.
+ */
+export function buildFogOverlay(maze, currentCell, fog) {
+    return (surface, geometry) => {
+        const visibleCells = fog.mode === FOG_TORCH ?
+            findCellsInRadius(maze, currentCell, fog.radius, geometry) :
+            findCellsInLineOfSight(currentCell, fog.radius);
+
+        maze.forEachCell(cell => {
+            if (!visibleCells.has(cell)) {
+                surface.setColour(cell.metadata[METADATA_PLAYER_VISITED] ? REMEMBERED_COLOUR : HIDDEN_COLOUR);
+                surface.fillPolygon(...geometry.polygon(cell));
+            }
+        });
+    };
+}
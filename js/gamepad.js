@@ -0,0 +1,84 @@
+/*
+ Reads directions from any connected gamepad using the Gamepad API. The browser doesn't send events when the controls on a
+ gamepad are used, so the gamepads are polled for as long as at least one of them is connected. Directions are reported as
+ an angle (in radians, measured clockwise from the right-hand side of the screen) so that the caller can decide which way
+ to move for the shape of the maze being played.
+ */
+const POLL_INTERVAL_MILLIS = 50,
+    REPEAT_INTERVAL_MILLIS = 250,
+    STICK_DEAD_ZONE = 0.5,
+    // Button indexes used by the browser's 'standard' gamepad mapping
+    BUTTON_RUN = 0,
+    BUTTON_RUN_TO_JUNCTION = 1,
+    BUTTON_DPAD_UP = 12,
+    BUTTON_DPAD_DOWN = 13,
+    BUTTON_DPAD_LEFT = 14,
+    BUTTON_DPAD_RIGHT = 15;
+
+function isPressed(gamepad, buttonIndex) {
+    const button = gamepad.buttons[buttonIndex];
+    return !!button && button.pressed;
+}
+
+function readDirectionVector(gamepad) {
+    const x = (isPressed(gamepad, BUTTON_DPAD_RIGHT) ? 1 : 0) - (isPressed(gamepad, BUTTON_DPAD_LEFT) ? 1 : 0),
+        y = (isPressed(gamepad, BUTTON_DPAD_DOWN) ? 1 : 0) - (isPressed(gamepad, BUTTON_DPAD_UP) ? 1 : 0);
+    if (x || y) {
+        return {x, y};
+    }
+
+    const [stickX = 0, stickY = 0] = gamepad.axes;
+    if (Math.hypot(stickX, stickY) >= STICK_DEAD_ZONE) {
+        return {x: stickX, y: stickY};
+    }
+    return null;
+}
+
+export function buildGamepadInput(onInput) {
+    "use strict";
+    let pollInterval, lastInputTime = null;
+
+    function getConnectedGamepads() {
+        return [...(navigator.getGamepads ? navigator.getGamepads() : [])].filter(gamepad => gamepad && gamepad.connected);
+    }
+
+    function poll() {
+        const gamepads = getConnectedGamepads();
+        if (!gamepads.length) {
+            clearInterval(pollInterval);
+            pollInterval = null;
+            return;
+        }
+
+        const gamepad = gamepads.find(readDirectionVector),
+            vector = gamepad && readDirectionVector(gamepad),
+            now = Date.now();
+
+        if (!vector) {
+            lastInputTime = null;
+            return;
+        }
+        // Holding a direction down moves repeatedly, but not on every poll
+        if (lastInputTime === null || now - lastInputTime >= REPEAT_INTERVAL_MILLIS) {
+            lastInputTime = now;
+            const runToJunction = isPressed(gamepad, BUTTON_RUN_TO_JUNCTION);
+            onInput({
+                angle: Math.atan2(vector.y, vector.x),
+                shift: runToJunction || isPressed(gamepad, BUTTON_RUN),
+                alt: runToJunction
+            });
+        }
+    }
+
+    window.addEventListener('gamepadconnected', () => {
+        if (!pollInterval) {
+            pollInterval = setInterval(poll, POLL_INTERVAL_MILLIS);
+        }
+    });
+
+    return {
+        isConnected() {
+            return getConnectedGamepads().length > 0;
+        }
+    };
+}
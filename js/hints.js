@@ -0,0 +1,24 @@
+export const DEFAULT_HINT_BUDGET = 3,
+    MIN_HINT_BUDGET = 0,
+    MAX_HINT_BUDGET = 10,
+    HINT_LENGTH = 5,
+    HINT_PENALTY_PERCENT = 10;
+
+const HINT_COLOUR = 'rgba(255, 193, 7, 0.7)';
+
+// Each hint that was used reduces the player's optimality score, but never below zero
+export function applyHintPenalty(optimality, hintsUsed) {
+    return Math.max(0, optimality - hintsUsed * HINT_PENALTY_PERCENT);
+}
+
+// Returns an overlay (see renderWithOverlays) that marks the cells revealed by a hint
+export function buildHintOverlay(hintCells) {
+    return (surface, geometry) => {
+        surface.setColour(HINT_COLOUR);
+        hintCells.forEach(cell => {
+            const centre = geometry.centre(cell),
+                marker = geometry.polygon(cell).map(({x, y}) => ({x: centre.x + (x - centre.x) * 0.3, y: centre.y + (y - centre.y) * 0.3}));
+            surface.fillPolygon(...marker);
+        });
+    };
+}
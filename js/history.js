@@ -0,0 +1,129 @@
+/*
+ Keeps a record of every completed game in IndexedDB, so that results for the same maze can be compared over time.
+ Each run looks like this:
+    {configKey, config: {shape, size, algorithm, seed, exitConfig, mask, braid, customExits, checkpoints, terrain}, playSettings, player,
+     completedAt, timeMs, visitedCells, optimalPathLength, optimality, hintsUsed, challenge, puzzle, moves: [{coords, t}, ...]}
+ The moves are the same as the ones recorded in a replay, see replay.js. The challenge and puzzle values are the countdown
+ difficulty and the puzzle mode that were selected, see challenge.js and puzzle.js. The playSettings object contains any of
+ the settings that make the game harder or easier which weren't left at their defaults, eg {fog: {mode, radius}, puzzle}.
+ The optimality already includes the penalty for any hints that were used, see hints.js
+ */
+const DB_NAME = 'mazeHistory',
+    DB_VERSION = 1,
+    STORE_RUNS = 'runs',
+    INDEX_CONFIG_KEY = 'configKey',
+    PLAYER_STORAGE_KEY = 'mazePlayerName';
+
+export const LEADERBOARD_SIZE = 10,
+    DEFAULT_PLAYER_NAME = 'Anonymous';
+
+let dbPromise;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('This browser does not support IndexedDB'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_RUNS, {keyPath: 'id', autoIncrement: true});
+                store.createIndex(INDEX_CONFIG_KEY, INDEX_CONFIG_KEY);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        dbPromise.catch(() => {
+            // Allow another attempt next time, rather than failing forever
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+}
+
+function runTransaction(mode, action) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_RUNS, mode),
+            request = action(transaction.objectStore(STORE_RUNS));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    }));
+}
+
+/*
+ Two runs have the same key only if they were played on exactly the same maze with the same playSettings. The braid, custom
+ exits, checkpoints, terrain and play settings are left out when there aren't any, so that runs saved before they were added
+ keep the same key.
+ */
+export function getConfigKey(config, playSettings = {}) {
+    const key = [config.shape, config.size, config.algorithm, config.seed, config.exitConfig, config.mask || []];
+    if (config.braid) {
+        key.push(config.braid);
+    }
+    if (config.customExits) {
+        key.push(config.customExits);
+    }
+    if (config.checkpoints && config.checkpoints.length) {
+        key.push(config.checkpoints);
+    }
+    if (config.terrain && Object.keys(config.terrain).length) {
+        key.push(config.terrain);
+    }
+    if (Object.keys(playSettings).length) {
+        key.push(playSettings);
+    }
+    return JSON.stringify(key);
+}
+
+export function saveRun(run) {
+    return runTransaction('readwrite', store => store.add({...run, configKey: getConfigKey(run.config, run.playSettings)}));
+}
+
+export function loadRunsForConfig(config, playSettings) {
+    return runTransaction('readonly', store => store.index(INDEX_CONFIG_KEY).getAll(getConfigKey(config, playSettings)));
+}
+
+export function loadAllRuns() {
+    return runTransaction('readonly', store => store.getAll());
+}
+
+export function clearHistory() {
+    return runTransaction('readwrite', store => store.clear());
+}
+
+// Fastest runs first, with the more efficient route winning if two runs took the same time
+export function compareRuns(run1, run2) {
+    return run1.timeMs - run2.timeMs || run2.optimality - run1.optimality;
+}
+
+export function buildLeaderboard(runs, player) {
+    const sortedRuns = [...runs].sort(compareRuns),
+        playerRuns = sortedRuns.filter(run => run.player === player);
+
+    return {
+        attempts: runs.length,
+        topRuns: sortedRuns.slice(0, LEADERBOARD_SIZE),
+        personalBest: playerRuns[0] || null,
+        playerAttempts: playerRuns.length
+    };
+}
+
+function padNum(num) {
+    return num < 10 ? '0' + num : num;
+}
+export function formatTime(millis) {
+    const hours = Math.floor(millis / (1000 * 60 * 60)),
+        minutes = Math.floor((millis % (1000 * 60 * 60)) / (1000 * 60)),
+        seconds = Math.floor((millis % (1000 * 60)) / 1000);
+
+    return `${padNum(hours)}:${padNum(minutes)}:${padNum(seconds)}`;
+}
+
+export function loadPlayerName() {
+    return localStorage.getItem(PLAYER_STORAGE_KEY) || DEFAULT_PLAYER_NAME;
+}
+
+export function savePlayerName(name) {
+    localStorage.setItem(PLAYER_STORAGE_KEY, name);
+}
@@ -1,7 +1,8 @@
 import {buildModel} from './model.js';
 import {buildView} from './view.js';
 import {buildMaze} from './lib/main.js';
-import {buildStateMachine, STATE_INIT, STATE_DISPLAYING, STATE_PLAYING, STATE_MASKING, STATE_DISTANCE_MAPPING, STATE_RUNNING_ALGORITHM} from './stateMachine.js';
+import {buildStateMachine, STATE_INIT, STATE_DISPLAYING, STATE_PLAYING, STATE_MASKING, STATE_DISTANCE_MAPPING, STATE_RUNNING_ALGORITHM, STATE_RACING, STATE_SOLVING, STATE_WEIGHTING, STATE_PLACING_EXITS, STATE_PLACING_CHECKPOINTS,
+    STATE_CHALLENGE_FAILED, STATE_REPLAYING} from './stateMachine.js';
 import {shapes} from './lib/shapes.js';
 import {drawingSurfaces} from './lib/drawingSurfaces.js';
 import {
@@ -9,14 +10,52 @@ import {
     EVENT_SHOW_MAP_BUTTON_CLICKED, EVENT_CLEAR_MAP_BUTTON_CLICKED, EVENT_CREATE_MASK_BUTTON_CLICKED,
     EVENT_SAVE_MASK_BUTTON_CLICKED, EVENT_CLEAR_MASK_BUTTON_CLICKED, EVENT_FINISH_RUNNING_BUTTON_CLICKED, EVENT_DELAY_SELECTED,
     EVENT_CHANGE_PARAMS_BUTTON_CLICKED, EVENT_EXITS_SELECTED, EVENT_SOLVE_BUTTON_CLICKED, EVENT_PLAY_BUTTON_CLICKED, EVENT_STOP_BUTTON_CLICKED,
-    EVENT_KEY_PRESS, EVENT_DOWNLOAD_CLICKED, EVENT_BATCH_GENERATE_CLICKED
+    EVENT_KEY_PRESS, EVENT_DOWNLOAD_CLICKED, EVENT_BATCH_GENERATE_CLICKED, EVENT_STATS_BUTTON_CLICKED, EVENT_DOWNLOAD_JSON_CLICKED,
+    EVENT_MAZE_FILE_SELECTED, EVENT_DOWNLOAD_PNG_CLICKED, EVENT_THEME_SELECTED, EVENT_COPY_LINK_CLICKED, EVENT_LEADERBOARD_BUTTON_CLICKED,
+    EVENT_PLAYER_NAME_CHANGED, EVENT_REPLAY_BUTTON_CLICKED, EVENT_REPLAY_SPEED_SELECTED, EVENT_EXPORT_REPLAY_BUTTON_CLICKED, EVENT_STOP_REPLAY_BUTTON_CLICKED,
+    EVENT_FOG_MODE_SELECTED, EVENT_FOG_RADIUS_CHANGED, EVENT_CHALLENGE_SELECTED, EVENT_DISMISS_CHALLENGE_BUTTON_CLICKED,
+    EVENT_PUZZLE_MODE_SELECTED, EVENT_RACE_BUTTON_CLICKED, EVENT_DIRECTIONAL_INPUT,
+    EVENT_HINT_BUTTON_CLICKED, EVENT_HINT_BUDGET_CHANGED, EVENT_UNDO_BUTTON_CLICKED, EVENT_MARK_DEAD_ENDS_CHANGED,
+    EVENT_SOLUTION_ARROWS_CHANGED, EVENT_SOLVER_SELECTED, EVENT_ANIMATE_SOLVER_BUTTON_CLICKED, EVENT_FINISH_SOLVING_BUTTON_CLICKED,
+    EVENT_STOP_SOLVING_BUTTON_CLICKED, EVENT_BRAID_CHANGED, EVENT_PAINT_TERRAIN_BUTTON_CLICKED, EVENT_TERRAIN_SELECTED,
+    EVENT_CLEAR_TERRAIN_BUTTON_CLICKED, EVENT_FINISH_TERRAIN_BUTTON_CLICKED, EVENT_PLACE_EXITS_BUTTON_CLICKED,
+    EVENT_CANCEL_PLACING_EXITS_BUTTON_CLICKED, EVENT_EDIT_CHECKPOINTS_BUTTON_CLICKED, EVENT_CLEAR_CHECKPOINTS_BUTTON_CLICKED,
+    EVENT_FINISH_CHECKPOINTS_BUTTON_CLICKED
 } from './view.js';
 import {config} from './config.js';
 import {algorithms} from './lib/algorithms.js';
 import {buildRandom} from './lib/random.js';
+import {getMaskKey, saveMasks, getMaskedCoords, applyMaskToGrid, validateMask, validateMaskForGrid} from './mask.js';
+import {computeMazeStats} from './stats.js';
+import {mazeToJsonText, parseMazeJson, applyMazeJson} from './mazeJson.js';
+import {PNG_SIZES, PNG_DPIS, DEFAULT_PNG_SIZE, DEFAULT_PNG_DPI, renderPng} from './png.js';
+import {renderSvg} from './mazeExport.js';
+import {THEMES, getTheme, findThemeId, saveTheme} from './themes.js';
+import {buildShareHash, parseShareHash, validateMazeConfig} from './shareUrl.js';
+import {DEFAULT_PLAYER_NAME, saveRun, loadRunsForConfig, buildLeaderboard, formatTime, loadPlayerName, savePlayerName} from './history.js';
+import {buildCellGeometry, renderWithOverlays, findLinkedDirectionClosestToAngle} from './cellGeometry.js';
+import {FOG_MODES, FOG_OFF, FOG_TORCH, DEFAULT_FOG_RADIUS, buildFogOverlay} from './fog.js';
+import {
+    PUZZLE_MODES, PUZZLE_OFF, METADATA_DOOR, METADATA_KEY, METADATA_COLLECTIBLE, isLockedDoor, buildPuzzle, clearPuzzle, buildPuzzleOverlay
+} from './puzzle.js';
+import {buildRace, clearRace, moveRacer, isRaceFinished, getRaceWinner, getRaceResults, buildRaceOverlay} from './race.js';
+import {DEFAULT_HINT_BUDGET, HINT_LENGTH, HINT_PENALTY_PERCENT, applyHintPenalty, buildHintOverlay} from './hints.js';
+import {METADATA_PLAYER_DEAD_END, updateTrail, buildTrailOverlay, buildDeadEndOverlay} from './trail.js';
+import {buildSolutionArrowsOverlay} from './solutionArrows.js';
+import {DEFAULT_BRAID, braidMaze} from './braid.js';
+import {EXITS_CUSTOM, isPlacedExitConfig, placeExits, placeHardestExits, setExits, findCustomExitCells} from './exits.js';
+import {
+    MAX_CHECKPOINTS, findCheckpointCells, toggleCheckpoint, findRouteViaCheckpoints, findPathViaCheckpoints, getRouteCells, buildCheckpointOverlay
+} from './checkpoints.js';
+import {
+    TERRAINS, TERRAIN_MUD, paintTerrain, clearTerrain, hasTerrain, getPaintedTerrain, applyPaintedTerrain, getTotalCost, findCostsFrom, buildTerrainOverlay
+} from './terrain.js';
+import {SOLVERS, DEFAULT_SOLVER, SOLVER_TICK_MILLIS, SOLVER_DURATION_MILLIS, buildSolver, buildSolverOverlay} from './solvers.js';
+import {CHALLENGE_DIFFICULTIES, CHALLENGE_OFF, CHALLENGE_TIMER_INTERVAL_MILLIS, getTimeLimitMillis} from './challenge.js';
+import {REPLAY_SPEEDS, DEFAULT_REPLAY_SPEED, REPLAY_FRAME_INTERVAL_MILLIS, buildReplay, replayToJsonText, parseReplayJson, getMoveIndexAtTime} from './replay.js';
 import {
     ALGORITHM_NONE, METADATA_MASKED, METADATA_END_CELL, METADATA_START_CELL, EVENT_CLICK, EXITS_NONE, EXITS_HARDEST, EXITS_HORIZONTAL, EXITS_VERTICAL,
-    METADATA_PLAYER_CURRENT, METADATA_PLAYER_VISITED, METADATA_PATH, METADATA_VISITED,
+    METADATA_PLAYER_CURRENT, METADATA_PLAYER_VISITED, METADATA_PATH,
     DIRECTION_NORTH, DIRECTION_SOUTH, DIRECTION_EAST, DIRECTION_WEST, DIRECTION_NORTH_WEST, DIRECTION_NORTH_EAST, DIRECTION_SOUTH_WEST, DIRECTION_SOUTH_EAST,
     DIRECTION_CLOCKWISE, DIRECTION_ANTICLOCKWISE, DIRECTION_INWARDS, DIRECTION_OUTWARDS,
     SHAPE_SQUARE, SHAPE_TRIANGLE, SHAPE_HEXAGON, SHAPE_CIRCLE
@@ -116,6 +155,7 @@ window.onload = () => {
         view.addExitConfiguration('Bottom to Top', EXITS_VERTICAL);
         view.addExitConfiguration('Left to Right', EXITS_HORIZONTAL);
         view.addExitConfiguration('Hardest Entrance/Exit', EXITS_HARDEST);
+        view.addExitConfiguration('Custom Entrance/Exit', EXITS_CUSTOM);
 
         view.on(EVENT_EXITS_SELECTED, exitConfig => {
             view.setExitConfiguration(model.exitConfig = exitConfig);
@@ -123,10 +163,131 @@ window.onload = () => {
         view.setExitConfiguration(model.exitConfig);
     }
 
+    function setupPngOptions() {
+        view.setPngOptions(PNG_SIZES, PNG_DPIS, DEFAULT_PNG_SIZE, DEFAULT_PNG_DPI);
+    }
+
+    function setupThemes() {
+        Object.entries(THEMES).forEach(([themeId, theme]) => {
+            view.addTheme(theme.description, themeId);
+        });
+        const savedThemeId = findThemeId(model.theme);
+        if (!savedThemeId) {
+            view.addTheme('Custom', '');
+        }
+        view.setTheme(savedThemeId || '');
+
+        view.on(EVENT_THEME_SELECTED, themeId => {
+            if (themeId) {
+                model.theme = getTheme(themeId);
+                saveTheme(model.theme);
+            }
+        });
+    }
+
     setupShapeParameter();
     setupSizeParameters();
     setupExitConfigs();
     setupAlgorithmDelay();
+    function setupFog() {
+        FOG_MODES.forEach(({description, value}) => view.addFogMode(description, value));
+        model.fog = {mode: FOG_OFF, radius: DEFAULT_FOG_RADIUS};
+
+        view.on(EVENT_FOG_MODE_SELECTED, mode => {
+            view.setFogMode(model.fog.mode = mode);
+        });
+        view.on(EVENT_FOG_RADIUS_CHANGED, radius => {
+            model.fog.radius = radius;
+        });
+        view.setFogMode(model.fog.mode);
+        view.setFogRadius(model.fog.radius);
+    }
+
+    function setupChallenges() {
+        CHALLENGE_DIFFICULTIES.forEach(({description, value}) => view.addChallengeDifficulty(description, value));
+        model.challenge = CHALLENGE_OFF;
+
+        view.on(EVENT_CHALLENGE_SELECTED, difficulty => {
+            view.setChallengeDifficulty(model.challenge = difficulty);
+        });
+        view.setChallengeDifficulty(model.challenge);
+    }
+
+    function setupPuzzles() {
+        PUZZLE_MODES.forEach(({description, value}) => view.addPuzzleMode(description, value));
+        model.puzzleMode = PUZZLE_OFF;
+
+        view.on(EVENT_PUZZLE_MODE_SELECTED, puzzleMode => {
+            view.setPuzzleMode(model.puzzleMode = puzzleMode);
+        });
+        view.setPuzzleMode(model.puzzleMode);
+    }
+
+    function setupHints() {
+        model.hintBudget = DEFAULT_HINT_BUDGET;
+        view.on(EVENT_HINT_BUDGET_CHANGED, hintBudget => {
+            model.hintBudget = hintBudget;
+        });
+        view.setHintBudget(model.hintBudget);
+    }
+
+    function setupDeadEnds() {
+        model.markDeadEnds = false;
+        view.on(EVENT_MARK_DEAD_ENDS_CHANGED, markDeadEnds => {
+            model.markDeadEnds = markDeadEnds;
+            if (stateMachine.state === STATE_PLAYING) {
+                renderMaze();
+            }
+        });
+        view.setMarkDeadEnds(model.markDeadEnds);
+    }
+
+    function setupSolutionArrows() {
+        model.solutionArrows = false;
+        view.on(EVENT_SOLUTION_ARROWS_CHANGED, solutionArrows => {
+            model.solutionArrows = solutionArrows;
+            renderMaze();
+        });
+        view.setSolutionArrows(model.solutionArrows);
+    }
+
+    function setupSolvers() {
+        Object.entries(SOLVERS).forEach(([solverId, solver]) => view.addSolver(solver.description, solverId));
+        model.solverId = DEFAULT_SOLVER;
+        view.on(EVENT_SOLVER_SELECTED, solverId => {
+            model.solverId = solverId;
+        });
+        view.setSolver(model.solverId);
+    }
+
+    function setupBraid() {
+        model.braid = DEFAULT_BRAID;
+        view.on(EVENT_BRAID_CHANGED, braid => {
+            model.braid = braid;
+        });
+        view.setBraid(model.braid);
+    }
+
+    function setupTerrain() {
+        Object.entries(TERRAINS).forEach(([terrainId, terrain]) => view.addTerrain(terrain.description, terrainId));
+        model.terrain = TERRAIN_MUD;
+        view.on(EVENT_TERRAIN_SELECTED, terrain => {
+            view.setTerrain(model.terrain = terrain);
+        });
+        view.setTerrain(model.terrain);
+    }
+
+    setupPngOptions();
+    setupThemes();
+    setupBraid();
+    setupTerrain();
+    setupFog();
+    setupChallenges();
+    setupPuzzles();
+    setupHints();
+    setupDeadEnds();
+    setupSolutionArrows();
+    setupSolvers();
     setupAlgorithms();
     showEmptyGrid(true);
 
@@ -134,47 +295,107 @@ window.onload = () => {
         if (model.maze) {
             model.maze.dispose();
         }
+        if (model.mazeSurface) {
+            model.mazeSurface.dispose();
+            delete model.mazeSurface;
+        }
+        stopReplayTimer();
+        stopChallengeTimer();
+        stopSolverTimer();
+        setReplay(null);
+        model.solverResults = {};
+        // Mazes from a link, a replay or a file keep their own mask in loadedMaze ({mask, fromFile}) rather than using the saved one
+        model.loadedMaze = overrides.loadedMaze || null;
 
         const grid = Object.assign({'cellShape': model.shape}, model.size),
+            algorithm = overrides.algorithm || model.algorithm,
+            exitConfig = overrides.exitConfig || model.exitConfig,
             maze = buildMaze({
                 grid,
-                'algorithm':  overrides.algorithm || model.algorithm,
+                'algorithm':  algorithm,
                 'randomSeed' : model.randomSeed,
                 'element': overrides.element || document.getElementById('maze'),
-                'mask': overrides.mask || model.mask[getModelMaskKey()],
-                'exitConfig': overrides.exitConfig || model.exitConfig
+                'mask': overrides.mask || getCurrentMask(),
+                'exitConfig': isPlacedExitConfig(exitConfig) ? EXITS_NONE : exitConfig
             });
 
         model.maze = maze;
 
         maze.on(EVENT_CLICK, ifStateIs(STATE_DISTANCE_MAPPING).then(event => {
-            maze.findDistancesFrom(...event.coords);
-            maze.render();
+            findCostsFrom(maze, event.coords);
+            renderMaze();
+        }));
+
+        maze.on(EVENT_CLICK, ifStateIs(STATE_PLACING_EXITS).then(event => {
+            const cell = maze.getCellByCoordinates(event.coords),
+                {startCell} = model.placingExits;
+            if (!startCell) {
+                maze.clearMetadata(METADATA_START_CELL, METADATA_END_CELL);
+                cell.metadata[METADATA_START_CELL] = true;
+                model.placingExits.startCell = cell;
+                view.showInfo('Now click the cell where the maze should finish');
+            } else if (cell !== startCell) {
+                onExitsPlaced(startCell, cell);
+            }
+            renderMaze();
+        }));
+
+        maze.on(EVENT_CLICK, ifStateIs(STATE_PLACING_CHECKPOINTS).then(event => {
+            const cell = maze.getCellByCoordinates(event.coords),
+                checkpoints = toggleCheckpoint(model.checkpoints, cell.coords);
+            if (cell.metadata[METADATA_START_CELL] || cell.metadata[METADATA_END_CELL]) {
+                alert('The start and finish of the maze can\'t be used as checkpoints');
+            } else if (checkpoints.length > MAX_CHECKPOINTS) {
+                alert(`A maze can't have more than ${MAX_CHECKPOINTS} checkpoints`);
+            } else {
+                model.checkpoints = checkpoints;
+                renderMaze();
+            }
+        }));
+
+        maze.on(EVENT_CLICK, ifStateIs(STATE_WEIGHTING).then(event => {
+            paintTerrain(maze.getCellByCoordinates(event.coords), model.terrain);
+            renderMaze();
         }));
 
         maze.on(EVENT_CLICK, ifStateIs(STATE_MASKING).then(event => {
             const cell = maze.getCellByCoordinates(event.coords);
             cell.metadata[METADATA_MASKED] = !cell.metadata[METADATA_MASKED];
-            maze.render();
+            renderMaze();
         }));
 
         maze.on(EVENT_CLICK, ifStateIs(STATE_PLAYING).then(event => {
             const currentCell = model.playState.currentCell,
                 direction = maze.getClosestDirectionForClick(currentCell, event);
             navigate(direction, event.shift || view.isMobileLayout, event.alt || view.isMobileLayout);
-            maze.render();
+            renderMaze();
         }));
 
+        // Braiding and placing exits use the maze's seed, so they give the same result as the batch page and the command-line tool (see buildMazeForSeed)
+        function onAlgorithmFinished() {
+            if (model.braid && algorithm !== ALGORITHM_NONE) {
+                braidMaze(maze, model.braid, buildRandom(model.randomSeed));
+                if (exitConfig === EXITS_HARDEST) {
+                    placeHardestExits(maze, model.shape, model.size);
+                }
+            }
+            // Custom exits from a maze of a different size may not fit this one, in which case it is left without any
+            if (exitConfig === EXITS_CUSTOM ? findCustomExitCells(maze, model.customExits) : isPlacedExitConfig(exitConfig)) {
+                placeExits(maze, {...getCurrentMazeConfig(), exitConfig}, buildRandom(model.randomSeed));
+            }
+        }
+
         const algorithmDelay = overrides.algorithmDelay !== undefined ? overrides.algorithmDelay : model.algorithmDelay,
             runAlgorithm = maze.runAlgorithm;
         if (algorithmDelay) {
-            model.runningAlgorithm = {run: runAlgorithm};
+            model.runningAlgorithm = {run: runAlgorithm, onFinished: onAlgorithmFinished};
             return new Promise(resolve => {
                 stateMachine.runningAlgorithm();
                 model.runningAlgorithm.interval = setInterval(() => {
                     const done = runAlgorithm.oneStep();
-                    maze.render();
+                    renderMaze();
                     if (done) {
+                        onAlgorithmFinished();
                         clearInterval(model.runningAlgorithm.interval);
                         delete model.runningAlgorithm;
                         stateMachine.displaying();
@@ -185,15 +406,69 @@ window.onload = () => {
 
         } else {
             runAlgorithm.toCompletion();
-            maze.render();
+            onAlgorithmFinished();
+            renderMaze();
             return Promise.resolve();
         }
 
     }
 
+    // Anything that needs to be drawn on top of the maze, given the current state
+    function getOverlays() {
+        const overlays = [];
+        if (hasTerrain(model.maze)) {
+            overlays.push(buildTerrainOverlay(model.maze));
+        }
+        if (model.solutionArrows && model.maze.metadata[METADATA_PATH]) {
+            overlays.push(buildSolutionArrowsOverlay(model.maze));
+        }
+        if (stateMachine.state === STATE_SOLVING) {
+            overlays.push(buildSolverOverlay(model.solving.solver.state));
+        }
+        if (stateMachine.state === STATE_RACING) {
+            overlays.push(buildRaceOverlay(model.maze, model.raceState));
+        }
+        if (stateMachine.state === STATE_PLAYING && model.playState.puzzle) {
+            overlays.push(buildPuzzleOverlay(model.maze));
+        }
+        if (stateMachine.state === STATE_PLAYING && model.markDeadEnds) {
+            overlays.push(buildDeadEndOverlay(model.maze));
+        }
+        if (stateMachine.state === STATE_PLAYING && !model.playState.finished) {
+            overlays.push(buildTrailOverlay(model.playState.trail));
+        }
+        if (stateMachine.state === STATE_PLAYING && model.fog.mode !== FOG_OFF && !model.playState.finished) {
+            overlays.push(buildFogOverlay(model.maze, model.playState.currentCell, model.fog));
+        }
+        // Checkpoints and hints are drawn on top of the fog, otherwise they might not be visible
+        if ([STATE_DISPLAYING, STATE_PLACING_CHECKPOINTS, STATE_CHALLENGE_FAILED, STATE_REPLAYING].includes(stateMachine.state) && model.checkpoints.length) {
+            overlays.push(buildCheckpointOverlay(getCheckpointCells()));
+        }
+        if (stateMachine.state === STATE_PLAYING && model.playState.checkpointCells.length && !model.playState.finished) {
+            overlays.push(buildCheckpointOverlay(model.playState.checkpointCells, model.playState.checkpointsReached));
+        }
+        if (stateMachine.state === STATE_PLAYING && model.playState.hintCells.length) {
+            overlays.push(buildHintOverlay(model.playState.hintCells));
+        }
+        return overlays;
+    }
+
+    function renderMaze() {
+        const overlays = getOverlays();
+        if (overlays.length) {
+            // The overlays must be drawn at the same scale as the maze, so the maze is drawn using a surface that we have access to
+            if (!model.mazeSurface) {
+                model.mazeSurface = drawingSurfaces.canvas({el: document.getElementById('maze')});
+            }
+            renderWithOverlays(model.maze, model.mazeSurface, model.shape, overlays);
+        } else {
+            model.maze.render();
+        }
+    }
+
     function showEmptyGrid(deleteMaskedCells) {
         buildMazeUsingModel({algorithmDelay: 0, exitConfig: EXITS_NONE, algorithm: ALGORITHM_NONE, mask: deleteMaskedCells ? model.mask[getModelMaskKey()] : []})
-            .then(() => model.maze.render());
+            .then(() => renderMaze());
     }
 
     function ifStateIs(...states) {
@@ -216,10 +491,15 @@ window.onload = () => {
         if (errors) {
             alert(errors);
         } else {
+            // Checkpoints belong to the maze that they were placed on
+            model.checkpoints = [];
             buildMazeUsingModel().then(() => {
                 view.toggleSolveButtonCaption(true);
-                model.maze.render();
+                view.hideStats();
+                view.hideLeaderboard();
+                renderMaze();
                 stateMachine.displaying();
+                updateShareUrl();
             });
         }
     });
@@ -227,21 +507,22 @@ window.onload = () => {
         stateMachine.distanceMapping();
         const [startCell, _1] = findStartAndEndCells(),
             coords = (startCell || model.maze.randomCell()).coords;
-        model.maze.findDistancesFrom(...coords);
-        model.maze.render();
+        findCostsFrom(model.maze, coords);
+        renderMaze();
     });
     view.on(EVENT_CLEAR_MAP_BUTTON_CLICKED, () => {
         stateMachine.displaying();
         model.maze.clearDistances();
-        model.maze.render();
+        renderMaze();
     });
 
     view.on(EVENT_FINISH_RUNNING_BUTTON_CLICKED, () => {
         clearInterval(model.runningAlgorithm.interval);
         model.runningAlgorithm.run.toCompletion();
+        model.runningAlgorithm.onFinished();
         delete model.runningAlgorithm;
         stateMachine.displaying();
-        model.maze.render();
+        renderMaze();
     });
 
     stateMachine.onStateChange(newState => {
@@ -251,71 +532,23 @@ window.onload = () => {
 
     function getModelMaskKey() {
         if (model.shape && model.size) {
-            return `${model.shape}-${Object.values(model.size).join('-')}`;
+            return getMaskKey(model.shape, model.size);
         }
     }
 
     view.on(EVENT_CREATE_MASK_BUTTON_CLICKED, () => {
         stateMachine.masking();
         showEmptyGrid(false);
-        (model.mask[getModelMaskKey()] || []).forEach(maskedCoords => {
-            const cell = model.maze.getCellByCoordinates(maskedCoords);
-            cell.metadata[METADATA_MASKED] = true;
-        });
-        model.maze.render();
+        applyMaskToGrid(model.maze, model.mask[getModelMaskKey()]);
+        renderMaze();
     });
 
-    function validateMask() {
-        const isNotMasked = cell => !cell.metadata[METADATA_MASKED],
-            startCell = model.maze.randomCell(isNotMasked);
-        let unmaskedCellCount = 0;
-
-        model.maze.forEachCell(cell => {
-            if (isNotMasked(cell)) {
-                unmaskedCellCount++;
-            }
-        });
-        if (!startCell) {
-            throw 'No unmasked cells remain';
-        }
-        if (unmaskedCellCount < 4) {
-            throw 'Not enough unmasked cells to build a maze';
-        }
-
-        function countUnmasked(cell) {
-            cell.metadata[METADATA_VISITED] = true;
-            let count = 1;
-            cell.neighbours.toArray(isNotMasked).forEach(neighbourCell => {
-                if (!neighbourCell.metadata[METADATA_VISITED]) {
-                    count += countUnmasked(neighbourCell);
-                }
-            });
-            return count;
-        }
-
-        model.maze.forEachCell(cell => {
-            delete cell.metadata[METADATA_VISITED];
-        });
-
-        if (unmaskedCellCount !== countUnmasked(startCell)) {
-            throw 'Your mask has cut off one or more cells so they are not reachable from the rest of the maze.';
-        }
-
-        if (model.shape === SHAPE_CIRCLE && model.maze.getCellByCoordinates(0,0).metadata[METADATA_MASKED]) {
-            throw 'You can\'t mask out the centre of a circular maze';
-        }
-    }
-
     view.on(EVENT_SAVE_MASK_BUTTON_CLICKED, () => {
         try {
-            validateMask();
+            validateMask(model.maze, model.shape);
             stateMachine.init();
-            const mask = model.mask[getModelMaskKey()] = [];
-            model.maze.forEachCell(cell => {
-                if (cell.metadata[METADATA_MASKED]) {
-                    mask.push(cell.coords);
-                }
-            });
+            model.mask[getModelMaskKey()] = getMaskedCoords(model.maze);
+            saveMasks(model.mask);
             showEmptyGrid(true);
             setupAlgorithms();
             view.updateMaskButtonCaption(isMaskAvailableForCurrentConfig());
@@ -328,11 +561,88 @@ window.onload = () => {
         model.maze.forEachCell(cell => {
             delete cell.metadata[METADATA_MASKED];
         });
-        model.maze.render();
+        renderMaze();
+    });
+
+    view.on(EVENT_PAINT_TERRAIN_BUTTON_CLICKED, () => {
+        // Any solution on display may no longer be the cheapest route once the terrain has changed
+        model.maze.clearPathAndSolution();
+        stateMachine.weighting();
+        renderMaze();
+    });
+
+    view.on(EVENT_CLEAR_TERRAIN_BUTTON_CLICKED, () => {
+        clearTerrain(model.maze);
+        renderMaze();
+    });
+
+    view.on(EVENT_FINISH_TERRAIN_BUTTON_CLICKED, () => {
+        // Any replay was recorded on the maze as it was before the terrain changed
+        setReplay(null);
+        stateMachine.displaying();
+        renderMaze();
+        updateShareUrl();
+    });
+
+    view.on(EVENT_PLACE_EXITS_BUTTON_CLICKED, () => {
+        // The current exits are put back if the user changes their mind
+        model.placingExits = {previousCells: findStartAndEndCells()};
+        model.maze.clearPathAndSolution();
+        stateMachine.placingExits();
+        renderMaze();
+    });
+
+    view.on(EVENT_CANCEL_PLACING_EXITS_BUTTON_CLICKED, () => {
+        const [startCell, endCell] = model.placingExits.previousCells;
+        if (startCell && endCell) {
+            setExits(model.maze, startCell, endCell);
+        } else {
+            model.maze.clearMetadata(METADATA_START_CELL, METADATA_END_CELL);
+        }
+        delete model.placingExits;
+        stateMachine.displaying();
+        renderMaze();
+    });
+
+    function onExitsPlaced(startCell, endCell) {
+        setExits(model.maze, startCell, endCell);
+        // The start and finish can't also be checkpoints
+        model.checkpoints = model.checkpoints.filter(coords => ![startCell, endCell].includes(model.maze.getCellByCoordinates(coords)));
+        model.customExits = {start: startCell.coords, end: endCell.coords};
+        view.setExitConfiguration(model.exitConfig = EXITS_CUSTOM);
+        delete model.placingExits;
+        // Any replay was recorded using the old exits
+        setReplay(null);
+        stateMachine.displaying();
+        updateShareUrl();
+    }
+
+    // Checkpoints are stored in the model as coordinates, cells that aren't in the current maze are ignored
+    function getCheckpointCells() {
+        return findCheckpointCells(model.maze, model.checkpoints);
+    }
+
+    view.on(EVENT_EDIT_CHECKPOINTS_BUTTON_CLICKED, () => {
+        model.maze.clearPathAndSolution();
+        stateMachine.placingCheckpoints();
+        renderMaze();
+    });
+
+    view.on(EVENT_CLEAR_CHECKPOINTS_BUTTON_CLICKED, () => {
+        model.checkpoints = [];
+        renderMaze();
+    });
+
+    view.on(EVENT_FINISH_CHECKPOINTS_BUTTON_CLICKED, () => {
+        // Any replay was recorded without these checkpoints
+        setReplay(null);
+        stateMachine.displaying();
+        renderMaze();
+        updateShareUrl();
     });
 
     view.on(EVENT_WINDOW_RESIZED, () => {
-        model.maze.render();
+        renderMaze();
     });
 
     view.on(EVENT_CHANGE_PARAMS_BUTTON_CLICKED, () => {
@@ -365,28 +675,128 @@ window.onload = () => {
             const [startCell, endCell] = findStartAndEndCells();
             console.assert(startCell);
             console.assert(endCell);
-            model.maze.findPathBetween(startCell.coords, endCell.coords);
+            findPathViaCheckpoints(model.maze, startCell.coords, endCell.coords, getCheckpointCells());
             view.toggleSolveButtonCaption(false);
         }
-        model.maze.render();
+        renderMaze();
+    });
+
+    function stopSolverTimer() {
+        if (model.solving) {
+            clearInterval(model.solving.interval);
+        }
+    }
+
+    function showSolverInfo() {
+        const {solverId, solver} = model.solving,
+            {explored, path, failed, steps} = solver.state,
+            lines = [
+                `<b>${SOLVERS[solverId].description}</b>`,
+                `Steps: ${steps}`,
+                `Cells Explored: <em>${explored.size}</em>`
+            ];
+
+        if (path) {
+            lines.push(`Route Length: <em>${path.length}</em>`);
+        } else if (failed) {
+            lines.push('No route was found');
+        }
+
+        // Once a solver has finished, compare it with any others that have been run on this maze
+        const otherResults = Object.entries(model.solverResults).filter(([otherSolverId]) => path && otherSolverId !== solverId);
+        if (otherResults.length) {
+            lines.push('', 'Other solvers on this maze:');
+            otherResults.forEach(([otherSolverId, result]) => {
+                lines.push(`${SOLVERS[otherSolverId].description}: ${result.explored} explored, route ${result.pathLength}`);
+            });
+        }
+        view.showInfo(lines.join('<br>'));
+    }
+
+    function onSolverFinished() {
+        const {solverId, solver} = model.solving,
+            {explored, path} = solver.state;
+
+        stopSolverTimer();
+        if (path) {
+            model.solverResults[solverId] = {explored: explored.size, pathLength: path.length};
+        }
+        view.setSolverFinished(true);
+        renderMaze();
+        showSolverInfo();
+    }
+
+    // Like the generation algorithms the solver runs one step at a time, taking roughly the same amount of time for any size of maze
+    view.on(EVENT_ANIMATE_SOLVER_BUTTON_CLICKED, () => {
+        const [startCell, endCell] = findStartAndEndCells();
+        if (!(startCell && endCell)) {
+            alert('You must generate a maze with exits in order to solve');
+            return;
+        }
+        // The solvers count steps between the start and the finish, so they would show a different route from the solution
+        if (hasTerrain(model.maze) || getCheckpointCells().length) {
+            alert('Step by step solving is not available for mazes with terrain or checkpoints, click \'Solve\' to see the best route instead');
+            return;
+        }
+        model.maze.clearPathAndSolution();
+        view.toggleSolveButtonCaption(true);
+
+        const geometry = buildCellGeometry(model.maze, model.shape, 0, 0),
+            solver = buildSolver(model.solverId, model.maze, startCell, endCell, geometry),
+            stepsPerTick = Math.ceil(model.maze.cellCount * SOLVER_TICK_MILLIS / SOLVER_DURATION_MILLIS);
+
+        model.solving = {
+            solverId: model.solverId,
+            solver,
+            interval: setInterval(() => {
+                let done = false;
+                for (let i = 0; i < stepsPerTick && !done; i++) {
+                    done = solver.oneStep();
+                }
+                if (done) {
+                    onSolverFinished();
+                } else {
+                    renderMaze();
+                    showSolverInfo();
+                }
+            }, SOLVER_TICK_MILLIS)
+        };
+        stateMachine.solving();
+        view.setSolverFinished(false);
+        renderMaze();
+        showSolverInfo();
+    });
+
+    view.on(EVENT_FINISH_SOLVING_BUTTON_CLICKED, ifStateIs(STATE_SOLVING).then(() => {
+        model.solving.solver.toCompletion();
+        onSolverFinished();
+    }));
+
+    view.on(EVENT_STOP_SOLVING_BUTTON_CLICKED, () => {
+        stopSolverTimer();
+        delete model.solving;
+        stateMachine.displaying();
+        renderMaze();
     });
 
     function getNavigationInstructions() {
         const isMobile = view.isMobileLayout,
-            MOBILE_INSTRUCTIONS = 'Tap to move through the maze to the next junction',
+            MOBILE_INSTRUCTIONS = 'Tap or swipe to move through the maze to the next junction',
             MOUSE_INSTRUCTIONS = 'Click to move through the maze',
-            ALT_SHIFT_INSTRUCTIONS = 'Holding down <b>SHIFT</b> will move you as far as possible in one direction<br><br>Holding down <b>ALT</b> and <b>SHIFT</b> will move you to the next junction';
+            ALT_SHIFT_INSTRUCTIONS = 'Holding down <b>SHIFT</b> will move you as far as possible in one direction<br><br>Holding down <b>ALT</b> and <b>SHIFT</b> will move you to the next junction',
+            GAMEPAD_INSTRUCTIONS = 'On your gamepad use the d-pad or left stick to move, hold <b>A</b> to move as far as possible or <b>B</b> to move to the next junction';
 
         if (isMobile) {
             return MOBILE_INSTRUCTIONS;
         }
 
-        return {
+        const instructions = {
             [SHAPE_SQUARE]:   `${MOUSE_INSTRUCTIONS} or use the arrow keys<br><br>${ALT_SHIFT_INSTRUCTIONS}`,
             [SHAPE_TRIANGLE]: `${MOUSE_INSTRUCTIONS} or use the arrow keys<br><br>${ALT_SHIFT_INSTRUCTIONS}`,
             [SHAPE_HEXAGON]:  `${MOUSE_INSTRUCTIONS}<br><br>${ALT_SHIFT_INSTRUCTIONS}`,
             [SHAPE_CIRCLE]:   `${MOUSE_INSTRUCTIONS}<br><br>${ALT_SHIFT_INSTRUCTIONS}`
         }[model.shape];
+        return view.isGamepadConnected() ? `${instructions}<br><br>${GAMEPAD_INSTRUCTIONS}` : instructions;
     }
 
     view.on(EVENT_PLAY_BUTTON_CLICKED, () => {
@@ -395,21 +805,69 @@ window.onload = () => {
             alert('You must generate a maze with exits in order to play');
             return;
         }
+        // A failed challenge leaves the player's route and the solution on display, so clear them before trying again
+        model.maze.clearMetadata(METADATA_PLAYER_CURRENT, METADATA_PLAYER_VISITED, METADATA_PLAYER_DEAD_END);
         model.maze.clearPathAndSolution();
-        model.playState = {startCell, endCell, currentCell: startCell, startTime: Date.now()};
+        model.playState = {
+            startCell, endCell,
+            currentCell: startCell,
+            startTime: Date.now(),
+            moves: [{coords: startCell.coords, t: 0}],
+            trail: [startCell],
+            hintsRemaining: model.hintBudget,
+            hintsUsed: 0,
+            hintCells: [],
+            checkpointCells: getCheckpointCells(),
+            checkpointsReached: 0,
+            playSettings: getPlaySettings()
+        };
+        view.setHintsRemaining(model.hintBudget);
+        startPuzzle();
+        // Found now because the puzzle changes as it is played, the keys and doors are removed as the player reaches them
+        model.playState.optimalRoute = findRouteViaCheckpoints(model.maze, startCell, endCell, model.playState.checkpointCells);
         startCell.metadata[METADATA_PLAYER_CURRENT] = true;
         startCell.metadata[METADATA_PLAYER_VISITED] = true;
-        model.maze.render();
         stateMachine.playing();
-        view.setNavigationInstructions(getNavigationInstructions());
+        renderMaze();
+        showPlayInfo();
+        startChallengeTimer();
     });
 
+    view.on(EVENT_HINT_BUTTON_CLICKED, ifStateIs(STATE_PLAYING).then(() => {
+        const {currentCell, endCell, checkpointCells, checkpointsReached, puzzle} = model.playState;
+        if (!model.playState.hintsRemaining) {
+            return;
+        }
+
+        findPathViaCheckpoints(model.maze, currentCell.coords, endCell.coords, checkpointCells.slice(checkpointsReached), puzzle ? puzzle.keys : new Set());
+        const path = model.maze.metadata[METADATA_PATH];
+        delete model.maze.metadata[METADATA_PATH];
+
+        // The path starts with the current cell, which the player doesn't need a hint about
+        model.playState.hintCells = path.slice(1, HINT_LENGTH + 1).map(coords => model.maze.getCellByCoordinates(coords));
+        model.playState.hintsRemaining--;
+        model.playState.hintsUsed++;
+        view.setHintsRemaining(model.playState.hintsRemaining);
+        renderMaze();
+    }));
+
     view.on(EVENT_STOP_BUTTON_CLICKED, () => {
+        // Once somebody has won a race, stopping it shows the results without waiting for the other player
+        if (model.raceState && getRaceWinner(model.raceState)) {
+            onRaceCompleted();
+            return;
+        }
+        stopChallengeTimer();
+        clearPuzzle(model.maze);
+        clearRace(model.maze);
+        delete model.raceState;
         model.maze.clearMetadata(METADATA_PLAYER_CURRENT, METADATA_PLAYER_VISITED);
-        model.maze.render();
         stateMachine.displaying();
+        renderMaze();
     });
 
+    const KEY_CODE_UNDO = 8; // Backspace
+
     const keyCodeToDirection = {
         38: DIRECTION_NORTH,
         40: DIRECTION_SOUTH,
@@ -426,63 +884,218 @@ window.onload = () => {
         186: `${DIRECTION_OUTWARDS}_0` // ;
     };
 
-    function padNum(num) {
-        return num < 10 ? '0' + num : num;
+    function startChallengeTimer() {
+        const timeLimitMs = getTimeLimitMillis(model.challenge, getRouteCells(model.playState.optimalRoute).length);
+        if (!timeLimitMs) {
+            return;
+        }
+
+        function updateChallengeTimer() {
+            const remainingMs = timeLimitMs - (Date.now() - model.playState.startTime);
+            if (remainingMs > 0) {
+                view.showChallengeTimer(remainingMs);
+            } else {
+                onChallengeFailed();
+            }
+        }
+        model.playState.challenge = {
+            difficulty: model.challenge,
+            timeLimitMs,
+            interval: setInterval(updateChallengeTimer, CHALLENGE_TIMER_INTERVAL_MILLIS)
+        };
+        updateChallengeTimer();
+    }
+
+    function stopChallengeTimer() {
+        if (model.playState && model.playState.challenge) {
+            clearInterval(model.playState.challenge.interval);
+        }
+    }
+
+    function onChallengeFailed() {
+        stopChallengeTimer();
+        model.playState.finished = true;
+        // The player's route is left in place so that they can compare it with the solution
+        model.maze.metadata[METADATA_PATH] = model.playState.optimalRoute.map(cell => cell.coords);
+        stateMachine.challengeFailed();
+        renderMaze();
+    }
+
+    function startPuzzle() {
+        if (model.puzzleMode === PUZZLE_OFF) {
+            return;
+        }
+        const {startCell, endCell} = model.playState,
+            // Use the maze's seed so that everyone playing the same maze gets the same puzzle
+            {collectibleCount, doorCount} = buildPuzzle(model.maze, startCell, endCell, buildRandom(model.randomSeed), model.puzzleMode);
+
+        model.playState.puzzle = {mode: model.puzzleMode, collectibleCount, doorCount, collected: 0, keys: new Set()};
     }
-    function formatTime(millis) {
-        const hours = Math.floor(millis / (1000 * 60 * 60)),
-            minutes = Math.floor((millis % (1000 * 60 * 60)) / (1000 * 60)),
-            seconds = Math.floor((millis % (1000 * 60)) / 1000);
 
-        return `${padNum(hours)}:${padNum(minutes)}:${padNum(seconds)}`;
+    function enterPuzzleCell(cell) {
+        const {puzzle} = model.playState,
+            {metadata} = cell;
+
+        if (metadata[METADATA_KEY] !== undefined) {
+            puzzle.keys.add(metadata[METADATA_KEY]);
+            delete metadata[METADATA_KEY];
+        }
+        if (metadata[METADATA_DOOR] !== undefined) {
+            // Doors stay open once they have been unlocked
+            delete metadata[METADATA_DOOR];
+        }
+        if (metadata[METADATA_COLLECTIBLE]) {
+            puzzle.collected++;
+            delete metadata[METADATA_COLLECTIBLE];
+        }
     }
 
+    function showPlayInfo(message) {
+        const {puzzle, checkpointCells, checkpointsReached} = model.playState,
+            lines = [getNavigationInstructions()];
+
+        if (checkpointCells.length) {
+            lines.push(`Checkpoints: <em>${checkpointsReached} of ${checkpointCells.length}</em>`);
+        }
+        if (puzzle) {
+            const progress = [];
+            if (puzzle.doorCount) {
+                progress.push(`Keys: <em>${puzzle.keys.size} of ${puzzle.doorCount}</em>`);
+            }
+            if (puzzle.collectibleCount) {
+                progress.push(`Items: <em>${puzzle.collected} of ${puzzle.collectibleCount}</em>`);
+            }
+            lines.push(progress.join('<br>'));
+        }
+        if (message) {
+            lines.push(`<b>${message}</b>`);
+        }
+        view.setNavigationInstructions(lines.join('<br><br>'));
+    }
+
+    view.on(EVENT_DISMISS_CHALLENGE_BUTTON_CLICKED, () => {
+        clearPuzzle(model.maze);
+        model.maze.clearMetadata(METADATA_PLAYER_CURRENT, METADATA_PLAYER_VISITED);
+        model.maze.clearPathAndSolution();
+        stateMachine.displaying();
+        renderMaze();
+    });
+
     function onMazeCompleted() {
         const timeMs = Date.now() - model.playState.startTime,
             time = formatTime(timeMs),
-            {startCell, endCell} = model.playState;
+            {challenge, puzzle, hintsUsed, trail, checkpointCells} = model.playState;
 
+        stopChallengeTimer();
+        clearPuzzle(model.maze);
         model.playState.finished = true;
 
-        model.maze.findPathBetween(startCell.coords, endCell.coords);
-        const optimalPathLength = model.maze.metadata[METADATA_PATH].length;
-        delete model.maze.metadata[METADATA_PATH];
+        const optimalRoute = getRouteCells(model.playState.optimalRoute),
+            optimalPathLength = optimalRoute.length,
+            visited = [];
 
-        let visitedCells = 0;
         model.maze.forEachCell(cell => {
             if (cell.metadata[METADATA_PLAYER_VISITED]) {
-                visitedCells++;
+                visited.push(cell);
             }
         });
 
-        const cellsPerSecond = visitedCells / (timeMs / 1000);
-        model.maze.render();
+        // With terrain a longer route can be better than a shorter one, so the player is scored on cost rather than on cells
+        const visitedCells = visited.length,
+            visitedCost = getTotalCost(visited),
+            optimalCost = getTotalCost(optimalRoute),
+            cellsPerSecond = visitedCells / (timeMs / 1000),
+            optimality = applyHintPenalty(Math.floor(100 * optimalCost / visitedCost), hintsUsed),
+            resultInfo = `
+                Finish Time: ${time}<br>
+                Visited Cells: ${visitedCells}<br>
+                ${model.braid ? `Your Route: ${trail.length}<br>` : ''}
+                ${checkpointCells.length ? `Checkpoints: ${checkpointCells.length}<br>` : ''}
+                Optimal Route: ${optimalPathLength}<br>
+                ${hasTerrain(model.maze) ? `Terrain Cost: ${visitedCost} (optimal ${optimalCost})<br>` : ''}<br>
+                Optimality: <em>${optimality}%</em><br>
+                ${hintsUsed ? `Hints Used: ${hintsUsed} (-${hintsUsed * HINT_PENALTY_PERCENT}% optimality)<br>` : ''}
+                Cells per Second: <em>${Math.round(cellsPerSecond)}</em>
+                ${puzzle && puzzle.collectibleCount ? `<br>Items Collected: <em>${puzzle.collected} of ${puzzle.collectibleCount}</em>` : ''}
+                ${challenge ? `<br><br>Beat the countdown with <em>${formatTime(challenge.timeLimitMs - timeMs)}</em> to spare!` : ''}
+            `;
+        renderMaze();
         stateMachine.displaying();
-        view.showInfo(`
-            Finish Time: ${time}<br>
-            Visited Cells: ${visitedCells}<br>
-            Optimal Route: ${optimalPathLength}<br><br>
-            Optimality: <em>${Math.floor(100 * optimalPathLength / visitedCells)}%</em><br>
-            Cells per Second: <em>${Math.round(cellsPerSecond)}</em>
-        `);
+        view.showInfo(resultInfo);
+        setReplay(buildReplay(getCurrentMazeConfig(), model.player, model.playState.moves, timeMs));
+
+        saveRun({
+            config: getCurrentMazeConfig(),
+            playSettings: model.playState.playSettings,
+            player: model.player,
+            completedAt: Date.now(),
+            timeMs,
+            visitedCells,
+            optimalPathLength,
+            optimality,
+            hintsUsed,
+            challenge: challenge ? challenge.difficulty : CHALLENGE_OFF,
+            puzzle: puzzle ? puzzle.mode : PUZZLE_OFF,
+            moves: model.playState.moves
+        }).then(runId => showLeaderboard().then(leaderboard => {
+            if (leaderboard.personalBest.id === runId && leaderboard.playerAttempts > 1) {
+                view.showInfo(`${resultInfo}<br><br><b>New personal best!</b>`);
+            }
+        })).catch(error => console.warn('Unable to save the result:', error));
+    }
+
+    function moveTo(targetCell) {
+        const {currentCell, puzzle, checkpointCells} = model.playState;
+        if (puzzle) {
+            enterPuzzleCell(targetCell);
+            showPlayInfo();
+        }
+        delete currentCell.metadata[METADATA_PLAYER_CURRENT];
+        targetCell.metadata[METADATA_PLAYER_VISITED] = true;
+        targetCell.metadata[METADATA_PLAYER_CURRENT] = true;
+        updateTrail(model.playState.trail, targetCell);
+        model.playState.previousCell = currentCell;
+        model.playState.currentCell = targetCell;
+        model.playState.moves.push({coords: targetCell.coords, t: Date.now() - model.playState.startTime});
+
+        // Checkpoints only count when they are reached in order
+        if (targetCell === checkpointCells[model.playState.checkpointsReached]) {
+            model.playState.checkpointsReached++;
+            showPlayInfo();
+        }
+        if (targetCell.metadata[METADATA_END_CELL]) {
+            if (model.playState.checkpointsReached === checkpointCells.length) {
+                onMazeCompleted();
+            } else {
+                showPlayInfo('Visit every checkpoint, in order, before going to the finish');
+            }
+        }
+    }
+
+    // Steps back to the previous cell on the player's trail, which counts as a move like any other
+    function undoMove() {
+        const {trail} = model.playState;
+        if (trail.length > 1) {
+            moveTo(trail[trail.length - 2]);
+            renderMaze();
+        }
     }
 
+    view.on(EVENT_UNDO_BUTTON_CLICKED, ifStateIs(STATE_PLAYING).then(undoMove));
+
     function navigate(direction, shift, alt) {
         while (true) {
-            const currentCell = model.playState.currentCell,
+            const {currentCell, puzzle} = model.playState,
                 targetCell = currentCell.neighbours[direction],
                 moveOk = targetCell && targetCell.isLinkedTo(currentCell);
 
+            if (moveOk && puzzle && isLockedDoor(targetCell, puzzle.keys)) {
+                showPlayInfo('This door is locked, find the key with the same colour to open it');
+                break;
+            }
+
             if (moveOk) {
-                delete currentCell.metadata[METADATA_PLAYER_CURRENT];
-                targetCell.metadata[METADATA_PLAYER_VISITED] = true;
-                targetCell.metadata[METADATA_PLAYER_CURRENT] = true;
-                model.playState.previousCell = currentCell;
-                model.playState.currentCell = targetCell;
-
-                if (targetCell.metadata[METADATA_END_CELL]) {
-                    onMazeCompleted();
-                }
+                moveTo(targetCell);
 
                 if (model.playState.finished) {
                     break;
@@ -503,39 +1116,426 @@ window.onload = () => {
         }
     }
 
+    function setReplay(replay) {
+        model.replay = replay;
+        view.setReplayAvailable(!!replay);
+    }
+
+    function stopReplayTimer() {
+        if (model.replayState) {
+            clearInterval(model.replayState.interval);
+            delete model.replayState;
+        }
+    }
+
+    function showReplayFrame() {
+        const {moves, player, timeMs} = model.replay,
+            {elapsedMs} = model.replayState,
+            moveIndex = getMoveIndexAtTime(moves, elapsedMs);
+
+        model.maze.clearMetadata(METADATA_PLAYER_CURRENT, METADATA_PLAYER_VISITED);
+        moves.slice(0, moveIndex + 1).forEach(move => {
+            model.maze.getCellByCoordinates(move.coords).metadata[METADATA_PLAYER_VISITED] = true;
+        });
+        model.maze.getCellByCoordinates(moves[moveIndex].coords).metadata[METADATA_PLAYER_CURRENT] = true;
+        renderMaze();
+
+        view.showInfo(`
+            Replaying game by ${player.replace(/</g, '&lt;')}<br>
+            Time: ${formatTime(Math.min(elapsedMs, timeMs))} of ${formatTime(timeMs)}<br>
+            Moves: ${moveIndex} of ${moves.length - 1}
+        `);
+        return elapsedMs >= timeMs;
+    }
+
+    function startReplay() {
+        const [startCell, endCell] = findStartAndEndCells();
+        if (!(startCell && endCell)) {
+            alert('The maze for this replay has no entrance/exit');
+            return;
+        }
+
+        model.maze.clearMetadata(METADATA_PLAYER_CURRENT, METADATA_PLAYER_VISITED);
+        // Show the optimal route underneath the player's route, for comparison
+        findPathViaCheckpoints(model.maze, startCell.coords, endCell.coords, getCheckpointCells());
+        stateMachine.replaying();
+
+        let lastTickTime = Date.now();
+        model.replayState = {
+            elapsedMs: 0,
+            interval: setInterval(() => {
+                const now = Date.now();
+                model.replayState.elapsedMs += (now - lastTickTime) * model.replaySpeed;
+                lastTickTime = now;
+                if (showReplayFrame()) {
+                    clearInterval(model.replayState.interval);
+                }
+            }, REPLAY_FRAME_INTERVAL_MILLIS)
+        };
+        showReplayFrame();
+    }
+
+    function setupReplaySpeeds() {
+        REPLAY_SPEEDS.forEach(speed => view.addReplaySpeed(`${speed}x`, speed));
+
+        view.on(EVENT_REPLAY_SPEED_SELECTED, speed => {
+            view.setReplaySpeed(model.replaySpeed = speed);
+        });
+        view.setReplaySpeed(model.replaySpeed = DEFAULT_REPLAY_SPEED);
+    }
+    setupReplaySpeeds();
+
+    view.on(EVENT_REPLAY_BUTTON_CLICKED, startReplay);
+
+    view.on(EVENT_STOP_REPLAY_BUTTON_CLICKED, () => {
+        stopReplayTimer();
+        model.maze.clearMetadata(METADATA_PLAYER_CURRENT, METADATA_PLAYER_VISITED);
+        model.maze.clearPathAndSolution();
+        renderMaze();
+        stateMachine.displaying();
+    });
+
+    view.on(EVENT_EXPORT_REPLAY_BUTTON_CLICKED, () => {
+        const fileName = `replay_${model.shape}_${Object.values(model.size).join('_')}_${model.randomSeed}.json`;
+        downloadFile(new Blob([replayToJsonText(model.replay)], {type: 'application/json;charset=utf-8'}), fileName);
+    });
+
+    // The directions that cells in the current maze can have neighbours in, which depend on its shape
+    function findMazeDirections() {
+        const directions = new Set();
+        model.maze.forEachCell(cell => {
+            Object.values(keyCodeToDirection).filter(direction => cell.neighbours[direction]).forEach(direction => directions.add(direction));
+        });
+        return [...directions];
+    }
+
+    function showRaceInfo() {
+        const lines = model.raceState.racers.map(racer => {
+            const colourKey = `<span style="color: ${racer.colour}">&#9632;</span>`;
+            return racer.timeMs === null ?
+                `${colourKey} ${racer.name} uses ${racer.controls}` :
+                `${colourKey} ${racer.name} finished in <em>${formatTime(racer.timeMs)}</em>`;
+        });
+        const winner = getRaceWinner(model.raceState),
+            status = winner ?
+                `<b>${winner.name} wins!</b><br><br>Keep going to compare your scores when you reach the exit, or click <b>Stop</b> to see the results now` :
+                'The first player to reach the exit wins';
+        view.showInfo(`${lines.join('<br>')}<br><br>${status}`);
+    }
+
+    view.on(EVENT_RACE_BUTTON_CLICKED, () => {
+        const [startCell, endCell] = findStartAndEndCells();
+        if (!(startCell && endCell)) {
+            alert('You must generate a maze with exits in order to race');
+            return;
+        }
+        // Races don't keep track of checkpoints, so the first racer to the exit could have skipped them
+        if (getCheckpointCells().length) {
+            alert('Races are not available for mazes with checkpoints, remove them using the \'Checkpoints\' button first');
+            return;
+        }
+        model.maze.clearMetadata(METADATA_PLAYER_CURRENT, METADATA_PLAYER_VISITED);
+        model.maze.clearPathAndSolution();
+        model.raceState = buildRace(model.maze, startCell, endCell, keyCodeToDirection, findMazeDirections());
+        stateMachine.racing();
+        renderMaze();
+        showRaceInfo();
+    });
+
+    function onRaceCompleted() {
+        const [startCell, endCell] = findStartAndEndCells(),
+            optimalRoute = getRouteCells(findRouteViaCheckpoints(model.maze, startCell, endCell, [])),
+            results = getRaceResults(model.maze, model.raceState, getTotalCost(optimalRoute)),
+            [winner] = results;
+
+        clearRace(model.maze);
+        delete model.raceState;
+        stateMachine.displaying();
+        renderMaze();
+
+        view.showInfo(`<b>${winner.name} wins!</b><br><br>` + results.map(result => `
+            ${result.name}<br>
+            Finish Time: ${result.timeMs === null ? 'Did not finish' : formatTime(result.timeMs)}<br>
+            Visited Cells: ${result.visitedCells}
+            ${result.optimality === null ? '' : `<br>Optimality: <em>${result.optimality}%</em>`}
+        `).join('<br><br>'));
+    }
+
+    view.on(EVENT_KEY_PRESS, ifStateIs(STATE_RACING).then(event => {
+        const racerDirection = model.raceState.keyCodeToRacerDirection[event.keyCode];
+        if (!(racerDirection && moveRacer(model.raceState, ...racerDirection))) {
+            return;
+        }
+
+        if (isRaceFinished(model.raceState)) {
+            onRaceCompleted();
+        } else {
+            renderMaze();
+            showRaceInfo();
+        }
+    }));
+
+    view.on(EVENT_DIRECTIONAL_INPUT, ifStateIs(STATE_PLAYING).then(event => {
+        const {angle, shift, alt} = event,
+            direction = findLinkedDirectionClosestToAngle(model.maze, model.shape, model.playState.currentCell, angle);
+
+        if (direction) {
+            navigate(direction, shift, alt);
+            renderMaze();
+        }
+    }));
+
     view.on(EVENT_KEY_PRESS, ifStateIs(STATE_PLAYING).then(event => {
         const {keyCode, shift, alt} = event,
             direction = keyCodeToDirection[keyCode];
 
+        if (keyCode === KEY_CODE_UNDO) {
+            undoMove();
+            return;
+        }
+
         navigate(direction, shift, alt);
 
-        model.maze.render();
+        renderMaze();
     }));
 
+    function downloadFile(blob, name) {
+        const blobAsUrl = URL.createObjectURL(blob),
+            downloadLink = document.createElement('a');
+        downloadLink.href = blobAsUrl;
+        downloadLink.download = name;
+        downloadLink.click();
+    }
+
+    // The downloaded images include the solution arrows if they are showing on screen
+    function getImageOptions() {
+        return {solutionArrows: model.solutionArrows, shape: model.shape};
+    }
+
     view.on(EVENT_DOWNLOAD_CLICKED, () => {
-        function saveSvg(svgEl, name) {
-            const svgData = svgEl.outerHTML,
-                prolog = '<?xml version="1.0" standalone="no"?>',
-                blob = new Blob([prolog, svgData], {type: 'image/svg+xml;charset=utf-8'}),
-                blobAsUrl = URL.createObjectURL(blob),
-                downloadLink = document.createElement('a');
-            downloadLink.href = blobAsUrl;
-            downloadLink.download = name;
-            downloadLink.click();
-        }
-
-        const SVG_SIZE = 500,
-            elSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        elSvg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
-        elSvg.setAttribute('width', SVG_SIZE);
-        elSvg.setAttribute('height', SVG_SIZE);
-
-        const svgDrawingSurface = drawingSurfaces.svg({el: elSvg}),
-            fileName = `maze_${model.shape}_${Object.values(model.size).join('_')}_${model.randomSeed}.svg`;
-        model.maze.render(svgDrawingSurface);
-        saveSvg(elSvg, fileName);
+        const fileName = `maze_${model.shape}_${Object.values(model.size).join('_')}_${model.randomSeed}.svg`;
+        downloadFile(new Blob([renderSvg(model.maze, model.theme, getImageOptions())], {type: 'image/svg+xml;charset=utf-8'}), fileName);
+    });
+
+    view.on(EVENT_DOWNLOAD_PNG_CLICKED, () => {
+        const fileName = `maze_${model.shape}_${Object.values(model.size).join('_')}_${model.randomSeed}.png`;
+        renderPng(model.maze, view.getPngSize(), view.getPngDpi(), model.theme, getImageOptions())
+            .then(blob => downloadFile(blob, fileName))
+            .catch(error => alert(error.message));
     });
 
+    // The settings that change how hard a game is, so that only games played in the same way share a leaderboard (see getConfigKey)
+    function getPlaySettings() {
+        const playSettings = {};
+        if (model.fog.mode !== FOG_OFF) {
+            // The radius only affects torchlight
+            playSettings.fog = model.fog.mode === FOG_TORCH ? {mode: model.fog.mode, radius: model.fog.radius} : {mode: model.fog.mode};
+        }
+        if (model.challenge !== CHALLENGE_OFF) {
+            playSettings.challenge = model.challenge;
+        }
+        if (model.puzzleMode !== PUZZLE_OFF) {
+            playSettings.puzzle = model.puzzleMode;
+        }
+        if (model.hintBudget !== DEFAULT_HINT_BUDGET) {
+            playSettings.hintBudget = model.hintBudget;
+        }
+        return playSettings;
+    }
+
+    function getCurrentMask() {
+        return model.loadedMaze ? model.loadedMaze.mask : model.mask[getModelMaskKey()] || [];
+    }
+
+    function getCurrentMazeConfig() {
+        return {
+            shape: model.shape,
+            size: model.size,
+            algorithm: model.algorithm,
+            seed: model.randomSeed,
+            exitConfig: model.exitConfig,
+            mask: getCurrentMask(),
+            braid: model.braid,
+            customExits: model.exitConfig === EXITS_CUSTOM ? model.customExits : null,
+            checkpoints: model.checkpoints,
+            terrain: getPaintedTerrain(model.maze)
+        };
+    }
+
+    /*
+     Updates the model and the sidebar to match a maze configuration, eg one that was loaded from a file. The mask isn't
+     included, mazes that are loaded keep their own mask in model.loadedMaze (see buildMazeUsingModel) so that the saved mask
+     isn't replaced.
+     */
+    function applyMazeConfig(mazeConfig) {
+        validateMazeConfig(mazeConfig);
+
+        view.setShape(model.shape = mazeConfig.shape);
+        setupSizeParameters();
+        Object.entries(mazeConfig.size).forEach(([name, value]) => {
+            model.size[name] = value;
+            view.setSizeParameter(name, value);
+        });
+        view.updateMaskButtonCaption(isMaskAvailableForCurrentConfig());
+        setupAlgorithms();
+        view.setAlgorithm(model.algorithm = mazeConfig.algorithm);
+        view.setExitConfiguration(model.exitConfig = mazeConfig.exitConfig);
+        model.customExits = mazeConfig.customExits || null;
+        model.checkpoints = mazeConfig.checkpoints || [];
+        view.setBraid(model.braid = mazeConfig.braid || DEFAULT_BRAID);
+        model.randomSeed = mazeConfig.seed;
+    }
+
+    view.on(EVENT_DOWNLOAD_JSON_CLICKED, () => {
+        const fileName = `maze_${model.shape}_${Object.values(model.size).join('_')}_${model.randomSeed}.json`;
+        downloadFile(new Blob([mazeToJsonText(model.maze, getCurrentMazeConfig())], {type: 'application/json;charset=utf-8'}), fileName);
+    });
+
+    view.on(EVENT_MAZE_FILE_SELECTED, file => {
+        file.text().then(text => {
+            const replay = parseReplayJson(text);
+            if (replay) {
+                return buildMazeFromConfig({...replay.config, mask: replay.config.mask || []}).then(() => {
+                    if (!replay.moves.every(move => model.maze.getCellByCoordinates(move.coords))) {
+                        throw new Error('The replay contains moves that are not in the maze');
+                    }
+                    updateShareUrl();
+                    setReplay(replay);
+                    startReplay();
+                });
+            }
+
+            const mazeData = parseMazeJson(text),
+                mask = mazeData.mask || [];
+            // Custom exits aren't saved separately, they are the start and end cells of the maze in the file
+            const isCustom = mazeData.exitConfig === EXITS_CUSTOM && mazeData.start && mazeData.end;
+            applyMazeConfig({...mazeData, customExits: isCustom ? {start: mazeData.start, end: mazeData.end} : null});
+            if (mask.length) {
+                const maskError = validateMaskForGrid(mazeData.shape, mazeData.size, mask, document.createElement('canvas'));
+                if (maskError) {
+                    throw new Error(maskError);
+                }
+            }
+
+            // The links between cells come from the file, so start with an empty grid rather than running the algorithm
+            return buildMazeUsingModel({algorithm: ALGORITHM_NONE, exitConfig: EXITS_NONE, algorithmDelay: 0, loadedMaze: {mask, fromFile: true}}).then(() => {
+                applyMazeJson(model.maze, mazeData);
+                view.toggleSolveButtonCaption(true);
+                view.hideStats();
+                view.hideLeaderboard();
+                renderMaze();
+                stateMachine.displaying();
+                view.showSeedValue();
+                updateShareUrl();
+            });
+        }).catch(error => {
+            alert(`Unable to open the maze: ${error.message}`);
+        });
+    });
+
+    // The page URL always describes the maze on display, so it can be bookmarked or sent to someone else. Mazes opened from a
+    // file may not match the maze that their settings would build, so the URL doesn't describe them at all.
+    function updateShareUrl() {
+        model.shareHash = model.loadedMaze && model.loadedMaze.fromFile ? '' : buildShareHash(getCurrentMazeConfig(), document.createElement('canvas'));
+        history.replaceState(null, '', model.shareHash || `${window.location.pathname}${window.location.search}`);
+    }
+
+    function showMazeFromUrl() {
+        if (window.location.hash === model.shareHash) {
+            return;
+        }
+        try {
+            const mazeConfig = parseShareHash(window.location.hash, document.createElement('canvas'));
+            if (mazeConfig) {
+                buildMazeFromConfig(mazeConfig).then(() => {
+                    model.shareHash = window.location.hash;
+                });
+            }
+        } catch (error) {
+            alert(`Unable to show the maze from this link: ${error.message}`);
+        }
+    }
+
+    // Builds the maze described by a configuration object (see getCurrentMazeConfig) using its seed, and displays it
+    function buildMazeFromConfig(mazeConfig) {
+        if (mazeConfig.mask.length) {
+            if (!algorithms[mazeConfig.algorithm] || !algorithms[mazeConfig.algorithm].metadata.maskable) {
+                throw new Error(`The '${mazeConfig.algorithm}' algorithm can't be used with a mask`);
+            }
+            const maskError = validateMaskForGrid(mazeConfig.shape, mazeConfig.size, mazeConfig.mask, document.createElement('canvas'));
+            if (maskError) {
+                throw new Error(maskError);
+            }
+        }
+        if (model.runningAlgorithm) {
+            clearInterval(model.runningAlgorithm.interval);
+            delete model.runningAlgorithm;
+        }
+        applyMazeConfig(mazeConfig);
+        return buildMazeUsingModel({algorithmDelay: 0, loadedMaze: {mask: mazeConfig.mask, fromFile: false}}).then(() => {
+            // Links and replays made before terrain was added to them don't have any
+            applyPaintedTerrain(model.maze, mazeConfig.terrain || {});
+            view.toggleSolveButtonCaption(true);
+            view.hideStats();
+            view.hideLeaderboard();
+            renderMaze();
+            stateMachine.displaying();
+            view.showSeedValue();
+        });
+    }
+
+    view.on(EVENT_COPY_LINK_CLICKED, () => {
+        if (model.loadedMaze && model.loadedMaze.fromFile) {
+            alert('Mazes opened from a file can\'t be shared using a link, use \'Download JSON\' to share them instead');
+            return;
+        }
+        navigator.clipboard.writeText(window.location.href)
+            .then(() => alert('A link to this maze has been copied to the clipboard'))
+            .catch(() => prompt('Copy this link:', window.location.href));
+    });
+
+    window.onhashchange = showMazeFromUrl;
+    showMazeFromUrl();
+
+    view.on(EVENT_STATS_BUTTON_CLICKED, () => {
+        if (view.isShowingStats()) {
+            view.hideStats();
+        } else {
+            view.showStats(computeMazeStats(model.maze));
+        }
+    });
+
+    function showLeaderboard() {
+        return loadRunsForConfig(getCurrentMazeConfig(), getPlaySettings()).then(runs => {
+            const leaderboard = buildLeaderboard(runs, model.player);
+            view.showLeaderboard(leaderboard, model.player);
+            return leaderboard;
+        });
+    }
+
+    view.on(EVENT_LEADERBOARD_BUTTON_CLICKED, () => {
+        if (view.isShowingLeaderboard()) {
+            view.hideLeaderboard();
+        } else {
+            showLeaderboard().catch(error => alert(`Unable to load the leaderboard: ${error.message}`));
+        }
+    });
+
+    function setupPlayerName() {
+        model.player = loadPlayerName();
+        view.setPlayerName(model.player);
+
+        view.on(EVENT_PLAYER_NAME_CHANGED, name => {
+            model.player = name || DEFAULT_PLAYER_NAME;
+            view.setPlayerName(model.player);
+            savePlayerName(model.player);
+            if (view.isShowingLeaderboard()) {
+                showLeaderboard().catch(error => console.warn('Unable to load the leaderboard:', error));
+            }
+        });
+    }
+    setupPlayerName();
+
     view.on(EVENT_BATCH_GENERATE_CLICKED, () => {
         window.location.href = 'batch.html';
     });
@@ -0,0 +1,169 @@
+import {buildMaze} from './lib/main.js';
+import {ALGORITHM_NONE, EXITS_NONE, METADATA_MASKED, METADATA_VISITED, SHAPE_CIRCLE} from './lib/constants.js';
+
+const MASK_STORAGE_KEY = 'mazeMasks';
+
+export function getMaskKey(shape, size) {
+    return `${shape}-${Object.values(size).join('-')}`;
+}
+
+// Masks are saved by the main page and read back by the batch page, keyed by getMaskKey()
+export function loadSavedMasks() {
+    try {
+        return JSON.parse(localStorage.getItem(MASK_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Failed to load saved masks:', error);
+        return {};
+    }
+}
+
+export function saveMasks(masks) {
+    try {
+        localStorage.setItem(MASK_STORAGE_KEY, JSON.stringify(masks));
+    } catch (error) {
+        console.warn('Failed to save masks:', error);
+    }
+}
+
+export function getMaskedCoords(maze) {
+    const mask = [];
+    maze.forEachCell(cell => {
+        if (cell.metadata[METADATA_MASKED]) {
+            mask.push(cell.coords);
+        }
+    });
+    return mask;
+}
+
+export function applyMaskToGrid(maze, mask) {
+    (mask || []).forEach(maskedCoords => {
+        const cell = maze.getCellByCoordinates(maskedCoords);
+        if (cell) {
+            cell.metadata[METADATA_MASKED] = true;
+        }
+    });
+}
+
+// Expects a grid containing every cell, with the cells to be removed flagged as METADATA_MASKED. Throws a message describing the problem if the mask can't be used.
+export function validateMask(maze, shape) {
+    const isNotMasked = cell => !cell.metadata[METADATA_MASKED],
+        startCell = maze.randomCell(isNotMasked);
+    let unmaskedCellCount = 0;
+
+    maze.forEachCell(cell => {
+        if (isNotMasked(cell)) {
+            unmaskedCellCount++;
+        }
+    });
+    if (!startCell) {
+        throw 'No unmasked cells remain';
+    }
+    if (unmaskedCellCount < 4) {
+        throw 'Not enough unmasked cells to build a maze';
+    }
+
+    function countUnmasked(cell) {
+        cell.metadata[METADATA_VISITED] = true;
+        let count = 1;
+        cell.neighbours.toArray(isNotMasked).forEach(neighbourCell => {
+            if (!neighbourCell.metadata[METADATA_VISITED]) {
+                count += countUnmasked(neighbourCell);
+            }
+        });
+        return count;
+    }
+
+    maze.forEachCell(cell => {
+        delete cell.metadata[METADATA_VISITED];
+    });
+
+    if (unmaskedCellCount !== countUnmasked(startCell)) {
+        throw 'Your mask has cut off one or more cells so they are not reachable from the rest of the maze.';
+    }
+
+    if (shape === SHAPE_CIRCLE && maze.getCellByCoordinates(0,0).metadata[METADATA_MASKED]) {
+        throw 'You can\'t mask out the centre of a circular maze';
+    }
+}
+
+function buildEmptyGrid(shape, size, element) {
+    const grid = Object.assign({'cellShape': shape}, size),
+        maze = buildMaze({grid, 'algorithm': ALGORITHM_NONE, 'randomSeed': 0, element, 'mask': [], 'exitConfig': EXITS_NONE});
+
+    maze.runAlgorithm.toCompletion();
+    return maze;
+}
+
+// Checks a list of masked coordinates without needing a grid to be on display, returning a description of any problem
+export function validateMaskForGrid(shape, size, mask, element) {
+    const maze = buildEmptyGrid(shape, size, element);
+
+    applyMaskToGrid(maze, mask);
+    try {
+        validateMask(maze, shape);
+        return '';
+    } catch (error) {
+        return error;
+    } finally {
+        maze.dispose();
+    }
+}
+
+function toBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    return Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+}
+
+// Masks are encoded as one bit per cell, in the order that the grid visits its cells, so that they are short enough to put in a URL
+export function encodeMask(shape, size, mask, element) {
+    if (!mask || !mask.length) {
+        return '';
+    }
+    const maze = buildEmptyGrid(shape, size, element),
+        bytes = new Uint8Array(Math.ceil(maze.cellCount / 8));
+
+    applyMaskToGrid(maze, mask);
+    let index = 0;
+    maze.forEachCell(cell => {
+        if (cell.metadata[METADATA_MASKED]) {
+            bytes[index >> 3] |= 1 << (index & 7);
+        }
+        index++;
+    });
+    maze.dispose();
+
+    return toBase64Url(bytes);
+}
+
+export function decodeMask(shape, size, text, element) {
+    if (!text) {
+        return [];
+    }
+    let bytes;
+    try {
+        bytes = fromBase64Url(text);
+    } catch (error) {
+        throw new Error('The mask is not correctly encoded');
+    }
+
+    const maze = buildEmptyGrid(shape, size, element),
+        mask = [];
+    if (bytes.length !== Math.ceil(maze.cellCount / 8)) {
+        maze.dispose();
+        throw new Error('The mask does not match the size of the maze');
+    }
+
+    let index = 0;
+    maze.forEachCell(cell => {
+        if (bytes[index >> 3] & (1 << (index & 7))) {
+            mask.push(cell.coords);
+        }
+        index++;
+    });
+    maze.dispose();
+
+    return mask;
+}
@@ -0,0 +1,144 @@
+import {buildMaze} from './lib/main.js';
+import {buildRandom} from './lib/random.js';
+import {drawingSurfaces} from './lib/drawingSurfaces.js';
+import {algorithms} from './lib/algorithms.js';
+import {METADATA_END_CELL, METADATA_START_CELL, EXITS_NONE, EXITS_HARDEST} from './lib/constants.js';
+import {DEFAULT_THEME_ID, getTheme, themedSurface, applyThemeToSvg} from './themes.js';
+import {renderWithSolutionArrows} from './solutionArrows.js';
+import {braidMaze} from './braid.js';
+import {isPlacedExitConfig, placeExits, placeHardestExits} from './exits.js';
+
+export const SVG_SIZE = 500,
+    FILE_PREFIX_MAZE = 'Map',
+    FILE_PREFIX_SOLUTION = 'Sol',
+    FILE_PREFIX_DISTANCE = 'Dist',
+    FILE_PREFIX_DATA = 'Data';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg',
+    SVG_PROLOG = '<?xml version="1.0" standalone="no"?>';
+
+// Shared by the batch page and the command-line tool so that both of them name files the same way
+export function buildFileName(prefix, model, seed, extension = 'svg') {
+    return `${prefix}_maze_${model.shape}_${Object.values(model.size).join('_')}_${seed}.${extension}`;
+}
+
+export function getAlgorithmDisplayName(algorithmId) {
+    const algorithm = algorithms[algorithmId];
+    if (algorithm && algorithm.metadata && algorithm.metadata.description) {
+        return algorithm.metadata.description;
+    }
+    return algorithmId;
+}
+
+function formatTimestamp(date) {
+    return date.toISOString().slice(0, 19).replace(/:/g, '-');
+}
+
+export function buildZipFileName(model, date = new Date()) {
+    const algorithmName = getAlgorithmDisplayName(model.algorithm),
+        shapeName = model.shape.charAt(0).toUpperCase() + model.shape.slice(1),
+        sizeString = Object.values(model.size).join('x');
+
+    return `${algorithmName} ${shapeName} ${sizeString} ${formatTimestamp(date)}.zip`;
+}
+
+export function buildMatrixZipFileName(date = new Date()) {
+    return `Maze Matrix ${formatTimestamp(date)}.zip`;
+}
+
+export function findStartAndEndCells(maze) {
+    let startCell, endCell;
+    maze.forEachCell(cell => {
+        if (cell.metadata[METADATA_START_CELL]) {
+            startCell = cell;
+        }
+        if (cell.metadata[METADATA_END_CELL]) {
+            endCell = cell;
+        }
+    });
+    return [startCell, endCell];
+}
+
+export function buildMazeForSeed(model, seed, element) {
+    const grid = Object.assign({'cellShape': model.shape}, model.size),
+        maze = buildMaze({
+            grid,
+            'algorithm': model.algorithm,
+            'randomSeed': seed,
+            element,
+            'mask': model.mask || [],
+            'exitConfig': isPlacedExitConfig(model.exitConfig) ? EXITS_NONE : model.exitConfig
+        });
+
+    maze.runAlgorithm.toCompletion();
+    if (model.braid) {
+        braidMaze(maze, model.braid, buildRandom(seed));
+        if (model.exitConfig === EXITS_HARDEST) {
+            placeHardestExits(maze, model.shape, model.size);
+        }
+    }
+    if (isPlacedExitConfig(model.exitConfig)) {
+        placeExits(maze, model, buildRandom(seed));
+    }
+
+    return maze;
+}
+
+export function createSvgElement(size = SVG_SIZE) {
+    const elSvg = document.createElementNS(SVG_NAMESPACE, 'svg');
+    elSvg.setAttribute('xmlns', SVG_NAMESPACE);
+    elSvg.setAttribute('width', size);
+    elSvg.setAttribute('height', size);
+    return elSvg;
+}
+
+/*
+ The options are {solutionArrows, shape}, if solutionArrows is true and the maze is showing its solution then arrows are
+ drawn along it. The shape of the maze is needed to work out where the arrows go.
+ */
+export function renderSvg(maze, theme = getTheme(DEFAULT_THEME_ID), options = {}) {
+    const elSvg = createSvgElement(),
+        surface = themedSurface(drawingSurfaces.svg({el: elSvg}), theme);
+
+    if (options.solutionArrows) {
+        renderWithSolutionArrows(maze, surface, options.shape);
+    } else {
+        maze.render(surface);
+    }
+    applyThemeToSvg(elSvg, theme);
+    return SVG_PROLOG + elSvg.outerHTML;
+}
+
+// Renders the maze with its solution showing, using any of the render functions, then removes the solution again
+export function renderWithSolution(maze, render) {
+    const [startCell, endCell] = findStartAndEndCells(maze);
+
+    if (!startCell || !endCell) {
+        throw new Error('No start/end cells found');
+    }
+
+    maze.findPathBetween(startCell.coords, endCell.coords);
+    const result = render(maze);
+    maze.clearPathAndSolution();
+
+    return result;
+}
+
+export function renderWithDistances(maze, render) {
+    const [startCell] = findStartAndEndCells(maze),
+        coords = (startCell || maze.randomCell()).coords;
+
+    maze.findDistancesFrom(...coords);
+    const result = render(maze);
+    maze.clearDistances();
+
+    return result;
+}
+
+export function renderSolutionSvg(maze, theme, options) {
+    return renderWithSolution(maze, maze => renderSvg(maze, theme, options));
+}
+
+export function renderDistanceSvg(maze, theme) {
+    return renderWithDistances(maze, maze => renderSvg(maze, theme));
+}
@@ -0,0 +1,125 @@
+import {METADATA_END_CELL, METADATA_START_CELL} from './lib/constants.js';
+import {findStartAndEndCells} from './mazeExport.js';
+import {METADATA_TERRAIN, TERRAINS} from './terrain.js';
+import {isValidCoords} from './exits.js';
+
+export const MAZE_JSON_FORMAT = 'maze-generator',
+    MAZE_JSON_VERSION = 1;
+
+/*
+ Describes a maze as JSON, see README.md for details of the format. The config object contains the settings used to
+ build the maze: {shape, size, algorithm, seed, exitConfig, mask, braid, checkpoints}
+ */
+export function serializeMaze(maze, config) {
+    const [startCell, endCell] = findStartAndEndCells(maze),
+        cells = [];
+
+    maze.forEachCell(cell => {
+        const cellData = {
+            coords: cell.coords,
+            links: cell.neighbours.linkedDirections().map(direction => cell.neighbours[direction].coords)
+        };
+        if (cell.metadata[METADATA_TERRAIN]) {
+            cellData.terrain = cell.metadata[METADATA_TERRAIN];
+        }
+        cells.push(cellData);
+    });
+
+    return {
+        format: MAZE_JSON_FORMAT,
+        version: MAZE_JSON_VERSION,
+        shape: config.shape,
+        size: config.size,
+        algorithm: config.algorithm,
+        seed: config.seed,
+        exitConfig: config.exitConfig,
+        mask: config.mask || [],
+        braid: config.braid || 0,
+        checkpoints: config.checkpoints || [],
+        start: startCell ? startCell.coords : null,
+        end: endCell ? endCell.coords : null,
+        cells
+    };
+}
+
+export function parseMazeJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file does not contain valid JSON');
+    }
+
+    if (!data || data.format !== MAZE_JSON_FORMAT) {
+        throw new Error('The file does not contain a maze');
+    }
+    if (data.version > MAZE_JSON_VERSION) {
+        throw new Error(`The maze was saved by a newer version of the generator (format version ${data.version})`);
+    }
+    if (typeof data.shape !== 'string' || !data.size || !Array.isArray(data.cells)) {
+        throw new Error('The maze file is incomplete');
+    }
+    data.cells.forEach(cellData => {
+        if (!(cellData && isValidCoords(cellData.coords))) {
+            throw new Error('The maze file contains a cell without valid coordinates');
+        }
+        if (!(Array.isArray(cellData.links) && cellData.links.every(isValidCoords))) {
+            throw new Error(`The maze file contains invalid links for the cell at ${cellData.coords}`);
+        }
+    });
+    [data.start, data.end].forEach(coords => {
+        if (coords !== null && coords !== undefined && !isValidCoords(coords)) {
+            throw new Error('The start and end cells in the maze file are not valid');
+        }
+    });
+
+    return data;
+}
+
+/*
+ Expects an empty grid of the right shape and size, with no links between cells, and recreates the maze described by the
+ data, which must already have been checked by parseMazeJson
+ */
+export function applyMazeJson(maze, data) {
+    // Cells are looked up by their coordinates here rather than by the maze, which doesn't expect to be asked for cells outside the grid
+    const cellsByCoords = new Map();
+    maze.forEachCell(cell => cellsByCoords.set(cell.coords.join(), cell));
+
+    const getCell = coords => {
+        const cell = cellsByCoords.get(coords.join());
+        if (!cell) {
+            throw new Error(`The maze file refers to a cell that is not in the grid: ${coords}`);
+        }
+        return cell;
+    };
+
+    data.cells.forEach(cellData => {
+        const cell = getCell(cellData.coords);
+        cellData.links.forEach(linkedCoords => {
+            const linkedCell = getCell(linkedCoords);
+            if (!cell.neighbours.toArray().includes(linkedCell)) {
+                throw new Error(`The maze file links cells that are not next to each other: ${cellData.coords} and ${linkedCoords}`);
+            }
+            if (!cell.isLinkedTo(linkedCell)) {
+                cell.link(linkedCell);
+            }
+        });
+        if (cellData.terrain) {
+            if (!TERRAINS[cellData.terrain]) {
+                throw new Error(`The maze file contains an unknown terrain: ${cellData.terrain}`);
+            }
+            cell.metadata[METADATA_TERRAIN] = cellData.terrain;
+        }
+    });
+
+    if (data.start) {
+        getCell(data.start).metadata[METADATA_START_CELL] = true;
+    }
+    if (data.end) {
+        getCell(data.end).metadata[METADATA_END_CELL] = true;
+    }
+}
+
+export function mazeToJsonText(maze, config) {
+    return JSON.stringify(serializeMaze(maze, config), null, 2);
+}
@@ -1,9 +1,15 @@
+import {loadSavedMasks} from './mask.js';
+import {loadSavedTheme} from './themes.js';
+
 export function buildModel() {
    const model = {
        shape: 'square',
-       mask: {},
+       mask: loadSavedMasks(),
        algorithmDelay: 0,
-       exitConfig: 'vertical'
+       exitConfig: 'vertical',
+       customExits: null,
+       checkpoints: [],
+       theme: loadSavedTheme()
    };
 
     return model;
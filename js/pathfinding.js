@@ -0,0 +1,81 @@
+export function getLinkedNeighbours(cell) {
+    return cell.neighbours.linkedDirections().map(direction => cell.neighbours[direction]);
+}
+
+// The parents map records the cell that each cell was reached from, with null for the cell where the search started
+export function buildPathFromParents(parents, endCell) {
+    const path = [];
+    for (let cell = endCell; cell; cell = parents.get(cell)) {
+        path.unshift(cell);
+    }
+    return path;
+}
+
+/*
+ Finds the shortest route between two cells using a breadth-first search, returning an array of cells from the start to
+ the end, or null if there is no route. The optional canMove function can be used to rule out some of the moves between
+ neighbouring cells.
+ */
+export function findPath(startCell, endCell, canMove = () => true) {
+    const parents = new Map([[startCell, null]]),
+        queue = [startCell];
+
+    // Cells are read from the queue using an index rather than being removed from the front, which is slow for large mazes
+    for (let queueIndex = 0; queueIndex < queue.length; queueIndex++) {
+        const cell = queue[queueIndex];
+        if (cell === endCell) {
+            return buildPathFromParents(parents, endCell);
+        }
+        getLinkedNeighbours(cell).filter(neighbour => !parents.has(neighbour) && canMove(cell, neighbour)).forEach(neighbour => {
+            parents.set(neighbour, cell);
+            queue.push(neighbour);
+        });
+    }
+    return null;
+}
+
+// Finds the number of moves needed to reach each cell that can be reached from the start cell, using a breadth-first search
+export function findDistances(startCell) {
+    const distances = new Map([[startCell, 0]]),
+        queue = [startCell];
+
+    for (let queueIndex = 0; queueIndex < queue.length; queueIndex++) {
+        const cell = queue[queueIndex];
+        getLinkedNeighbours(cell).filter(neighbour => !distances.has(neighbour)).forEach(neighbour => {
+            distances.set(neighbour, distances.get(cell) + 1);
+            queue.push(neighbour);
+        });
+    }
+    return distances;
+}
+
+/*
+ Finds the cheapest route from the start cell to every cell that can be reached from it using Dijkstra's algorithm, where
+ getCost returns the cost of moving into a cell. Returns the total cost of reaching each cell, and the parents of each
+ cell on its cheapest route (see buildPathFromParents). The optional canMove function works in the same way as for findPath.
+ */
+export function findCheapestRoutes(startCell, getCost, canMove = () => true) {
+    const costs = new Map([[startCell, 0]]),
+        parents = new Map([[startCell, null]]),
+        frontier = new Set([startCell]);
+
+    while (frontier.size) {
+        let cell;
+        frontier.forEach(frontierCell => {
+            if (!cell || costs.get(frontierCell) < costs.get(cell)) {
+                cell = frontierCell;
+            }
+        });
+        frontier.delete(cell);
+
+        getLinkedNeighbours(cell).filter(neighbour => canMove(cell, neighbour)).forEach(neighbour => {
+            const cost = costs.get(cell) + getCost(neighbour);
+            if (!costs.has(neighbour) || cost < costs.get(neighbour)) {
+                costs.set(neighbour, cost);
+                parents.set(neighbour, cell);
+                frontier.add(neighbour);
+            }
+        });
+    }
+    return {costs, parents};
+}
@@ -0,0 +1,95 @@
+/*
+ A minimal PDF writer, supporting just what is needed to print mazes: pages containing JPEG images and lines of text
+ in the standard Helvetica font. All positions and sizes are in points (1/72 inch) measured from the top-left corner of the page.
+ */
+
+const encoder = new TextEncoder();
+
+function toPdfString(text) {
+    // The standard fonts only cover a limited character set, so replace anything outside of printable ASCII
+    return '(' + String(text).replace(/[^\x20-\x7E]/g, '?').replace(/([\\()])/g, '\\$1') + ')';
+}
+
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+// Helvetica character widths vary, this average is close enough for centring captions
+export function estimateTextWidth(text, fontSize) {
+    return String(text).length * fontSize * 0.5;
+}
+
+export function buildPdf(pages, pageWidth, pageHeight) {
+    "use strict";
+    const objects = [];
+
+    function addObject(parts) {
+        objects.push(parts);
+        return objects.length;
+    }
+    function reserveObject() {
+        objects.push(null);
+        return objects.length;
+    }
+
+    const catalogId = reserveObject(),
+        pagesId = reserveObject(),
+        fontId = addObject([`<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>`]),
+        pageIds = [];
+
+    pages.forEach(page => {
+        const imageNames = [],
+            commands = [];
+
+        (page.images || []).forEach((image, index) => {
+            const name = `Im${index}`,
+                imageId = addObject([
+                    `<< /Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.jpeg.length} >>\nstream\n`,
+                    image.jpeg,
+                    '\nendstream'
+                ]);
+            imageNames.push(`/${name} ${imageId} 0 R`);
+            commands.push(`q ${formatNumber(image.width)} 0 0 ${formatNumber(image.height)} ${formatNumber(image.x)} ${formatNumber(pageHeight - image.y - image.height)} cm /${name} Do Q`);
+        });
+
+        (page.texts || []).forEach(({text, x, y, size, align}) => {
+            const textX = align === 'centre' ? x - estimateTextWidth(text, size) / 2 : x;
+            commands.push(`BT /F1 ${formatNumber(size)} Tf ${formatNumber(textX)} ${formatNumber(pageHeight - y - size)} Td ${toPdfString(text)} Tj ET`);
+        });
+
+        const content = encoder.encode(commands.join('\n')),
+            contentId = addObject([`<< /Length ${content.length} >>\nstream\n`, content, '\nendstream']);
+
+        pageIds.push(addObject([
+            `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(pageWidth)} ${formatNumber(pageHeight)}] ` +
+            `/Resources << /Font << /F1 ${fontId} 0 R >> /XObject << ${imageNames.join(' ')} >> >> /Contents ${contentId} 0 R >>`
+        ]));
+    });
+
+    objects[catalogId - 1] = [`<< /Type /Catalog /Pages ${pagesId} 0 R >>`];
+    objects[pagesId - 1] = [`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`];
+
+    const chunks = [],
+        offsets = [];
+    let length = 0;
+    function write(part) {
+        const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+    }
+
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+    objects.forEach((parts, index) => {
+        offsets.push(length);
+        write(`${index + 1} 0 obj\n`);
+        parts.forEach(write);
+        write('\nendobj\n');
+    });
+
+    const xrefOffset = length;
+    write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+    write(`trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(chunks, {type: 'application/pdf'});
+}
@@ -0,0 +1,44 @@
+import {drawingSurfaces} from './lib/drawingSurfaces.js';
+import {DEFAULT_THEME_ID, getTheme, themedSurface} from './themes.js';
+import {renderWithSolutionArrows} from './solutionArrows.js';
+import {setPngDpi} from './pngDpi.js';
+
+export const PNG_SIZES = [500, 1000, 2000, 4000],
+    PNG_DPIS = [72, 150, 300, 600],
+    DEFAULT_PNG_SIZE = 1000,
+    DEFAULT_PNG_DPI = 300;
+
+// Draws the maze, including whatever it is currently showing (eg a solution or distance map), onto a new square canvas
+// The options are the same as the ones used by renderSvg, see mazeExport.js
+export function renderMazeToCanvas(maze, size, theme = getTheme(DEFAULT_THEME_ID), options = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+
+    const ctx = canvas.getContext('2d'),
+        surface = themedSurface(drawingSurfaces.canvas({el: canvas}), theme, ctx);
+    if (options.solutionArrows) {
+        renderWithSolutionArrows(maze, surface, options.shape);
+    } else {
+        maze.render(surface);
+    }
+
+    // Fill in anything left transparent, so the image doesn't come out with a black background in other applications
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = theme.background;
+    ctx.fillRect(0, 0, size, size);
+
+    return canvas;
+}
+
+export function canvasToPng(canvas, dpi) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Unable to create PNG image')), 'image/png');
+    }).then(blob => blob.arrayBuffer()).then(buffer => {
+        return new Blob([setPngDpi(new Uint8Array(buffer), dpi)], {type: 'image/png'});
+    });
+}
+
+export function renderPng(maze, size, dpi, theme, options) {
+    return canvasToPng(renderMazeToCanvas(maze, size, theme, options), dpi);
+}
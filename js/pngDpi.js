@@ -0,0 +1,45 @@
+// Works on the bytes of an encoded image, so unlike png.js it doesn't need a canvas or the maze library
+
+const PNG_SIGNATURE_LENGTH = 8,
+    IHDR_CHUNK_LENGTH = 25,
+    INCHES_PER_METRE = 39.3701;
+
+let crcTable;
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    bytes.forEach(byte => {
+        crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    });
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Browsers don't record a resolution when encoding a canvas, so add a pHYs chunk straight after the IHDR chunk to tell print software the DPI
+export function setPngDpi(pngBytes, dpi) {
+    const pixelsPerMetre = Math.round(dpi * INCHES_PER_METRE),
+        chunk = new Uint8Array(21),
+        view = new DataView(chunk.buffer);
+
+    view.setUint32(0, 9);
+    chunk.set([...'pHYs'].map(c => c.charCodeAt(0)), 4);
+    view.setUint32(8, pixelsPerMetre);
+    view.setUint32(12, pixelsPerMetre);
+    chunk[16] = 1; // unit is the metre
+    view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+    const insertAt = PNG_SIGNATURE_LENGTH + IHDR_CHUNK_LENGTH,
+        result = new Uint8Array(pngBytes.length + chunk.length);
+    result.set(pngBytes.subarray(0, insertAt), 0);
+    result.set(chunk, insertAt);
+    result.set(pngBytes.subarray(insertAt), insertAt + chunk.length);
+    return result;
+}
@@ -0,0 +1,164 @@
+import {getLinkedNeighbours, findPath} from './pathfinding.js';
+
+export const PUZZLE_OFF = 'off',
+    PUZZLE_COLLECTIBLES = 'collectibles',
+    PUZZLE_KEYS_AND_DOORS = 'keysAndDoors',
+    PUZZLE_MODES = [
+        {description: 'No Puzzle', value: PUZZLE_OFF},
+        {description: 'Puzzle: Collectibles', value: PUZZLE_COLLECTIBLES},
+        {description: 'Puzzle: Keys and Doors', value: PUZZLE_KEYS_AND_DOORS}
+    ],
+    METADATA_DOOR = 'puzzleDoor',
+    METADATA_KEY = 'puzzleKey',
+    METADATA_COLLECTIBLE = 'puzzleCollectible';
+
+const KEY_COLOURS = ['#e6194b', '#3cb44b', '#f58231', '#911eb4'],
+    COLLECTIBLE_COLOUR = '#ffc107',
+    CELLS_PER_DOOR = 15,
+    CELLS_PER_COLLECTIBLE = 40,
+    MAX_COLLECTIBLES = 10;
+
+/*
+ Every cell that isn't on the solution path belongs to a side branch, which joins the path at one particular cell. A cell
+ can be reached without passing through a door on the path as long as its branch joins the path before the door.
+ */
+function findBranchCells(path) {
+    const joinIndexes = new Map(path.map((cell, index) => [cell, index])),
+        queue = [...path],
+        branchCells = [];
+
+    while (queue.length) {
+        const cell = queue.shift();
+        getLinkedNeighbours(cell).filter(neighbour => !joinIndexes.has(neighbour)).forEach(neighbour => {
+            joinIndexes.set(neighbour, joinIndexes.get(cell));
+            branchCells.push({cell: neighbour, joinIndex: joinIndexes.get(cell)});
+            queue.push(neighbour);
+        });
+    }
+    return branchCells;
+}
+
+function placeKeysAndDoors(path, branchCells, random, usedCells) {
+    const doorCount = Math.min(KEY_COLOURS.length, Math.floor(path.length / CELLS_PER_DOOR)),
+        segmentLength = (path.length - 2) / (doorCount + 1);
+
+    let doorId = 0;
+    for (let i = 1; i <= doorCount; i++) {
+        // Doors are spread out along the solution, never on the start or end cells
+        const doorIndex = 1 + Math.floor(segmentLength * i),
+            candidates = branchCells.filter(({cell, joinIndex}) => joinIndex < doorIndex && !usedCells.has(cell)),
+            deadEnds = candidates.filter(({cell}) => getLinkedNeighbours(cell).length === 1),
+            keyCandidates = deadEnds.length ? deadEnds : candidates;
+
+        if (!keyCandidates.length) {
+            continue;
+        }
+        const doorCell = path[doorIndex],
+            {cell: keyCell} = keyCandidates[random.int(keyCandidates.length)];
+
+        doorCell.metadata[METADATA_DOOR] = doorId;
+        keyCell.metadata[METADATA_KEY] = doorId;
+        usedCells.add(doorCell);
+        usedCells.add(keyCell);
+        doorId++;
+    }
+}
+
+function placeCollectibles(maze, random, usedCells) {
+    const candidates = [];
+    maze.forEachCell(cell => {
+        if (!usedCells.has(cell)) {
+            candidates.push(cell);
+        }
+    });
+
+    const collectibleCount = Math.min(MAX_COLLECTIBLES, Math.max(1, Math.floor(maze.cellCount / CELLS_PER_COLLECTIBLE)));
+    for (let i = 0; i < collectibleCount && candidates.length; i++) {
+        const [cell] = candidates.splice(random.int(candidates.length), 1);
+        cell.metadata[METADATA_COLLECTIBLE] = true;
+    }
+}
+
+// Each key opens the door with the same id, so any other door blocks the way
+export function isLockedDoor(cell, heldKeys) {
+    const door = cell.metadata[METADATA_DOOR];
+    return door !== undefined && !heldKeys.has(door);
+}
+
+/*
+ Doors are numbered in the order that they appear on the way to the exit, and the key for each one can be reached without
+ going through any of the doors after it. Returns the cell holding the key for the first door that is still locked, or
+ null if all the keys have been collected.
+ */
+export function findNextKeyCell(maze, heldKeys) {
+    let nextKeyCell = null;
+    maze.forEachCell(cell => {
+        const key = cell.metadata[METADATA_KEY];
+        if (key !== undefined && !heldKeys.has(key) && !(nextKeyCell && nextKeyCell.metadata[METADATA_KEY] < key)) {
+            nextKeyCell = cell;
+        }
+    });
+    return nextKeyCell;
+}
+
+export function clearPuzzle(maze) {
+    maze.clearMetadata(METADATA_DOOR, METADATA_KEY, METADATA_COLLECTIBLE);
+}
+
+/*
+ Adds a puzzle on top of a maze by recording it in the metadata of the maze's cells. Each locked door is a cell on the
+ solution path, and the key that opens it is hidden on a side branch that can be reached without going through that door.
+ The random object should be built from the maze's seed, so that the same maze always gets the same puzzle.
+ */
+export function buildPuzzle(maze, startCell, endCell, random, mode) {
+    clearPuzzle(maze);
+
+    const path = findPath(startCell, endCell),
+        usedCells = new Set([startCell, endCell]);
+
+    if (mode === PUZZLE_KEYS_AND_DOORS) {
+        placeKeysAndDoors(path, findBranchCells(path), random, usedCells);
+    }
+    if (mode !== PUZZLE_OFF) {
+        placeCollectibles(maze, random, usedCells);
+    }
+
+    let collectibleCount = 0, doorCount = 0;
+    maze.forEachCell(cell => {
+        if (cell.metadata[METADATA_COLLECTIBLE]) {
+            collectibleCount++;
+        }
+        if (cell.metadata[METADATA_DOOR] !== undefined) {
+            doorCount++;
+        }
+    });
+    return {collectibleCount, doorCount};
+}
+
+function shrinkPolygon(points, centre, scale) {
+    return points.map(({x, y}) => ({x: centre.x + (x - centre.x) * scale, y: centre.y + (y - centre.y) * scale}));
+}
+
+// Returns an overlay (see renderWithOverlays) that draws the doors, keys and collectibles that are still in the maze
+export function buildPuzzleOverlay(maze) {
+    return (surface, geometry) => {
+        maze.forEachCell(cell => {
+            const {metadata} = cell,
+                polygon = geometry.polygon(cell),
+                centre = geometry.centre(cell);
+
+            if (metadata[METADATA_DOOR] !== undefined) {
+                surface.setColour(KEY_COLOURS[metadata[METADATA_DOOR]]);
+                surface.fillPolygon(...shrinkPolygon(polygon, centre, 0.8));
+            }
+            if (metadata[METADATA_KEY] !== undefined) {
+                surface.setColour(KEY_COLOURS[metadata[METADATA_KEY]]);
+                surface.fillPolygon(...shrinkPolygon(polygon, centre, 0.4));
+            }
+            if (metadata[METADATA_COLLECTIBLE]) {
+                surface.setColour(COLLECTIBLE_COLOUR);
+                surface.fillPolygon(...shrinkPolygon(polygon, centre, 0.3));
+            }
+        });
+    };
+}
@@ -0,0 +1,111 @@
+import {buildPdf} from './pdf.js';
+
+export const PAPER_SIZES = {
+        a4:     {description: 'A4',     width: 595.28, height: 841.89},
+        letter: {description: 'Letter', width: 612,    height: 792}
+    },
+    MAZES_PER_PAGE_OPTIONS = [1, 2, 4, 6, 9];
+
+const POINTS_PER_MM = 72 / 25.4,
+    IMAGE_DPI = 200,
+    JPEG_QUALITY = 0.92,
+    TITLE_FONT_SIZE = 18,
+    CAPTION_FONT_SIZE = 10,
+    TEXT_SPACING = 6;
+
+function loadImage(blob) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob),
+            image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Unable to load maze image'));
+        };
+        image.src = url;
+    });
+}
+
+// PDF files can contain JPEG data as it is, so each maze image is redrawn at print resolution and converted to a JPEG
+async function imageToJpeg(blob, pixelSize) {
+    const image = await loadImage(blob),
+        canvas = document.createElement('canvas');
+    canvas.width = pixelSize;
+    canvas.height = pixelSize;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, pixelSize, pixelSize);
+    ctx.drawImage(image, 0, 0, pixelSize, pixelSize);
+
+    const jpegBlob = await new Promise((resolve, reject) => {
+        canvas.toBlob(result => result ? resolve(result) : reject(new Error('Unable to create JPEG image')), 'image/jpeg', JPEG_QUALITY);
+    });
+    return new Uint8Array(await jpegBlob.arrayBuffer());
+}
+
+function getGrid(mazesPerPage) {
+    const columns = Math.ceil(Math.sqrt(mazesPerPage));
+    return {columns, rows: Math.ceil(mazesPerPage / columns)};
+}
+
+async function layoutPages(items, heading, paper, options) {
+    const margin = options.margin * POINTS_PER_MM,
+        {columns, rows} = getGrid(options.mazesPerPage),
+        headingHeight = heading ? TITLE_FONT_SIZE + TEXT_SPACING * 2 : 0,
+        cellWidth = (paper.width - 2 * margin) / columns,
+        cellHeight = (paper.height - 2 * margin - headingHeight) / rows,
+        captionHeight = CAPTION_FONT_SIZE + TEXT_SPACING,
+        imageSize = Math.max(0, Math.min(cellWidth, cellHeight - captionHeight) - TEXT_SPACING),
+        pixelSize = Math.max(1, Math.round(imageSize / 72 * IMAGE_DPI)),
+        pages = [];
+
+    for (let i = 0; i < items.length; i += options.mazesPerPage) {
+        const page = {images: [], texts: []};
+        if (heading) {
+            page.texts.push({text: heading, x: paper.width / 2, y: margin, size: TITLE_FONT_SIZE, align: 'centre'});
+        }
+
+        const pageItems = items.slice(i, i + options.mazesPerPage);
+        for (let j = 0; j < pageItems.length; j++) {
+            const item = pageItems[j],
+                column = j % columns,
+                row = Math.floor(j / columns),
+                cellX = margin + column * cellWidth,
+                cellY = margin + headingHeight + row * cellHeight,
+                imageX = cellX + (cellWidth - imageSize) / 2;
+
+            page.images.push({
+                jpeg: await imageToJpeg(item.image, pixelSize),
+                pixelWidth: pixelSize,
+                pixelHeight: pixelSize,
+                x: imageX,
+                y: cellY,
+                width: imageSize,
+                height: imageSize
+            });
+            page.texts.push({text: item.caption, x: cellX + cellWidth / 2, y: cellY + imageSize + TEXT_SPACING / 2, size: CAPTION_FONT_SIZE, align: 'centre'});
+        }
+        pages.push(page);
+    }
+
+    return pages;
+}
+
+/*
+ Builds a printable PDF containing the mazes, followed by pages containing their solutions. Each maze is an object of
+ the form {image, solutionImage, caption} where the images are Blobs containing SVG or PNG data and solutionImage is optional.
+ Options are {paperSize, mazesPerPage, margin, title}, with the margin given in millimetres.
+ */
+export async function buildPuzzleBook(mazes, options) {
+    const paper = PAPER_SIZES[options.paperSize],
+        title = options.title.trim(),
+        mazePages = await layoutPages(mazes.map((maze, index) => ({image: maze.image, caption: `${index + 1}. ${maze.caption}`})), title, paper, options),
+        solutions = mazes.map((maze, index) => ({image: maze.solutionImage, caption: `${index + 1}. ${maze.caption}`})).filter(solution => solution.image),
+        solutionPages = await layoutPages(solutions, title ? `${title} - Solutions` : 'Solutions', paper, options);
+
+    return buildPdf([...mazePages, ...solutionPages], paper.width, paper.height);
+}
@@ -0,0 +1,176 @@
+import {getTotalCost} from './terrain.js';
+
+/*
+ Each racer's keys replace the ones used by a single player (see keyCodeToDirection in main.js), so that player 1 has the
+ arrow keys and the keys around them, and player 2 has W, A, S, D and the keys around them. Only the directions used by the
+ shape of the maze are given keys, which lets the same key move in different directions on different shapes.
+ */
+export const RACERS = [
+    {name: 'Player 1', colour: '#006bb7', keys: {
+        38: {keyCode: 38, label: '&uarr;'},
+        40: {keyCode: 40, label: '&darr;'},
+        39: {keyCode: 39, label: '&rarr;'},
+        37: {keyCode: 37, label: '&larr;'},
+        65: {keyCode: 36, label: 'Home'},
+        83: {keyCode: 33, label: 'Page Up'},
+        90: {keyCode: 35, label: 'End'},
+        88: {keyCode: 34, label: 'Page Down'},
+        81: {keyCode: 39, label: '&rarr;'},
+        87: {keyCode: 37, label: '&larr;'},
+        80: {keyCode: 40, label: '&darr;'},
+        76: {keyCode: 36, label: 'Home'},
+        186: {keyCode: 33, label: 'Page Up'}
+    }},
+    {name: 'Player 2', colour: '#e6194b', keys: {
+        38: {keyCode: 87, label: 'W'},
+        40: {keyCode: 83, label: 'S'},
+        39: {keyCode: 68, label: 'D'},
+        37: {keyCode: 65, label: 'A'},
+        65: {keyCode: 81, label: 'Q'},
+        83: {keyCode: 69, label: 'E'},
+        90: {keyCode: 90, label: 'Z'},
+        88: {keyCode: 67, label: 'C'},
+        81: {keyCode: 68, label: 'D'},
+        87: {keyCode: 65, label: 'A'},
+        80: {keyCode: 83, label: 'S'},
+        76: {keyCode: 81, label: 'Q'},
+        186: {keyCode: 69, label: 'E'}
+    }}
+];
+
+const VISITED_OPACITY = 0.35;
+
+function getMetadataKeys(racerIndex) {
+    return {current: `racer${racerIndex}Current`, visited: `racer${racerIndex}Visited`};
+}
+
+function toTransparentColour(hexColour, opacity) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hexColour.substr(i, 2), 16));
+    return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+}
+
+function visit(racer, cell) {
+    if (racer.currentCell) {
+        delete racer.currentCell.metadata[racer.metadata.current];
+    }
+    cell.metadata[racer.metadata.current] = true;
+    cell.metadata[racer.metadata.visited] = true;
+    racer.currentCell = cell;
+}
+
+export function clearRace(maze) {
+    RACERS.forEach((racer, index) => {
+        const {current, visited} = getMetadataKeys(index);
+        maze.clearMetadata(current, visited);
+    });
+}
+
+/*
+ Converts the single player keys for the given directions into keys for each racer. Returns keyCodeToRacerDirection, which
+ maps each racer's key codes to [racerIndex, direction], and a description of each racer's keys.
+ */
+function buildRaceControls(keyCodeToDirection, directions) {
+    const keyCodeToRacerDirection = {},
+        controls = RACERS.map(() => []);
+
+    Object.entries(keyCodeToDirection).filter(([keyCode, direction]) => directions.includes(direction)).forEach(([keyCode, direction]) => {
+        RACERS.forEach((racer, racerIndex) => {
+            const {keyCode: racerKeyCode, label} = racer.keys[keyCode];
+            keyCodeToRacerDirection[racerKeyCode] = [racerIndex, direction];
+            controls[racerIndex].push(`<b>${label}</b>`);
+        });
+    });
+    return {keyCodeToRacerDirection, controls: controls.map(labels => labels.join(' '))};
+}
+
+/*
+ Each racer has their own current/visited cell metadata, in the same way that the single player game uses
+ METADATA_PLAYER_CURRENT and METADATA_PLAYER_VISITED, so that both routes can be drawn on the same maze. The directions are
+ the ones that the cells of the maze can be linked in, which depend on its shape.
+ */
+export function buildRace(maze, startCell, endCell, keyCodeToDirection, directions) {
+    clearRace(maze);
+    const {keyCodeToRacerDirection, controls} = buildRaceControls(keyCodeToDirection, directions),
+        race = {
+            startTime: Date.now(),
+            endCell,
+            keyCodeToRacerDirection,
+            racers: RACERS.map((racer, index) => ({
+                name: racer.name,
+                colour: racer.colour,
+                controls: controls[index],
+                metadata: getMetadataKeys(index),
+                currentCell: null,
+                timeMs: null
+            }))
+        };
+    race.racers.forEach(racer => visit(racer, startCell));
+    return race;
+}
+
+// Returns true if the racer moved
+export function moveRacer(race, racerIndex, direction) {
+    const racer = race.racers[racerIndex],
+        currentCell = racer.currentCell,
+        targetCell = currentCell.neighbours[direction];
+
+    if (racer.timeMs !== null || !(targetCell && targetCell.isLinkedTo(currentCell))) {
+        return false;
+    }
+    visit(racer, targetCell);
+    if (targetCell === race.endCell) {
+        racer.timeMs = Date.now() - race.startTime;
+    }
+    return true;
+}
+
+export function isRaceFinished(race) {
+    return race.racers.every(racer => racer.timeMs !== null);
+}
+
+// The first racer to reach the exit, or null if nobody has reached it yet
+export function getRaceWinner(race) {
+    return race.racers.filter(racer => racer.timeMs !== null).sort((racer1, racer2) => racer1.timeMs - racer2.timeMs)[0] || null;
+}
+
+/*
+ Results are in finishing order, followed by any racers who didn't reach the exit. Optimality compares the cost of the
+ cells each racer visited with optimalCost, the cost of the cheapest route (see getTotalCost in terrain.js).
+ */
+export function getRaceResults(maze, race, optimalCost) {
+    return race.racers.map(racer => {
+        const visited = [];
+        maze.forEachCell(cell => {
+            if (cell.metadata[racer.metadata.visited]) {
+                visited.push(cell);
+            }
+        });
+        return {
+            name: racer.name,
+            timeMs: racer.timeMs,
+            visitedCells: visited.length,
+            optimality: racer.timeMs === null ? null : Math.floor(100 * optimalCost / getTotalCost(visited))
+        };
+    }).sort((result1, result2) => (result1.timeMs === null) - (result2.timeMs === null) || result1.timeMs - result2.timeMs);
+}
+
+// Returns an overlay (see renderWithOverlays) that shows where each racer has been, and where they are now
+export function buildRaceOverlay(maze, race) {
+    return (surface, geometry) => {
+        race.racers.forEach(racer => {
+            surface.setColour(toTransparentColour(racer.colour, VISITED_OPACITY));
+            maze.forEachCell(cell => {
+                if (cell.metadata[racer.metadata.visited]) {
+                    surface.fillPolygon(...geometry.polygon(cell));
+                }
+            });
+        });
+        race.racers.forEach(racer => {
+            const centre = geometry.centre(racer.currentCell),
+                marker = geometry.polygon(racer.currentCell)
+                    .map(({x, y}) => ({x: centre.x + (x - centre.x) * 0.5, y: centre.y + (y - centre.y) * 0.5}));
+            surface.setColour(racer.colour);
+            surface.fillPolygon(...marker);
+        });
+    };
+}
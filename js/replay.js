@@ -0,0 +1,62 @@
+export const REPLAY_JSON_FORMAT = 'maze-replay',
+    REPLAY_JSON_VERSION = 1,
+    REPLAY_SPEEDS = [0.5, 1, 2, 4, 8],
+    DEFAULT_REPLAY_SPEED = 1,
+    REPLAY_FRAME_INTERVAL_MILLIS = 50;
+
+/*
+ A replay contains everything needed to rebuild the maze and animate a game that was played on it. The config object is the
+ same as the one used for maze JSON files ({shape, size, algorithm, seed, exitConfig, mask, braid, customExits,
+ checkpoints}), and each move records the coordinates of a cell that the player entered and the number of milliseconds
+ since the start of the game, beginning with the start cell at time 0.
+ */
+export function buildReplay(config, player, moves, timeMs) {
+    return {
+        format: REPLAY_JSON_FORMAT,
+        version: REPLAY_JSON_VERSION,
+        config,
+        player,
+        timeMs,
+        moves
+    };
+}
+
+export function replayToJsonText(replay) {
+    return JSON.stringify(replay, null, 2);
+}
+
+// Returns null if the text isn't a replay at all, so that the caller can try to read it as something else
+export function parseReplayJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+    if (!data || data.format !== REPLAY_JSON_FORMAT) {
+        return null;
+    }
+
+    if (data.version > REPLAY_JSON_VERSION) {
+        throw new Error(`The replay was saved by a newer version of the generator (format version ${data.version})`);
+    }
+    if (!data.config || !Array.isArray(data.moves) || !data.moves.length) {
+        throw new Error('The replay file is incomplete');
+    }
+    data.moves.forEach(move => {
+        if (!Array.isArray(move.coords) || !Number.isFinite(move.t)) {
+            throw new Error('The replay file contains an invalid move');
+        }
+    });
+
+    return data;
+}
+
+// Returns the index of the last move made at or before the given time
+export function getMoveIndexAtTime(moves, elapsedMs) {
+    let index = 0;
+    while (index < moves.length - 1 && moves[index + 1].t <= elapsedMs) {
+        index++;
+    }
+    return index;
+}
@@ -0,0 +1,171 @@
+import {config} from './config.js';
+import {algorithms} from './lib/algorithms.js';
+import {encodeMask, decodeMask} from './mask.js';
+import {DEFAULT_BRAID, MIN_BRAID, MAX_BRAID, isValidBraid} from './braid.js';
+import {EXITS_CUSTOM, PLACED_EXIT_CONFIGS, formatCoords, parseCoords, isValidCoords} from './exits.js';
+import {MAX_CHECKPOINTS} from './checkpoints.js';
+import {PAINTED_TERRAINS} from './terrain.js';
+import {EXITS_NONE, EXITS_HARDEST, EXITS_HORIZONTAL, EXITS_VERTICAL} from './lib/constants.js';
+
+const PARAM_SHAPE = 'shape',
+    PARAM_ALGORITHM = 'algorithm',
+    PARAM_EXITS = 'exits',
+    PARAM_SEED = 'seed',
+    PARAM_MASK = 'mask',
+    PARAM_BRAID = 'braid',
+    PARAM_START = 'start',
+    PARAM_END = 'end',
+    PARAM_CHECKPOINTS = 'checkpoints',
+    EXIT_CONFIGS = [EXITS_NONE, EXITS_HARDEST, EXITS_HORIZONTAL, EXITS_VERTICAL, ...PLACED_EXIT_CONFIGS];
+
+/*
+ Describes a maze configuration ({shape, size, algorithm, seed, exitConfig, mask, braid, customExits, checkpoints, terrain})
+ as a URL hash, eg #shape=square&width=10&height=10&algorithm=wilsons&exits=vertical&seed=1234
+ Custom exits are included as the coordinates of the cells, eg &exits=custom&start=0,4&end=5,5
+ Checkpoints are listed in the order they must be visited, separated by semicolons, eg &checkpoints=2,3;7,1
+ Painted cells are listed in the same way under the name of their terrain (see getPaintedTerrain), eg &mud=1,1;1,2&water=4,4
+ */
+export function buildShareHash(mazeConfig, element) {
+    const params = new URLSearchParams();
+    params.set(PARAM_SHAPE, mazeConfig.shape);
+    Object.entries(mazeConfig.size).forEach(([name, value]) => params.set(name, value));
+    params.set(PARAM_ALGORITHM, mazeConfig.algorithm);
+    params.set(PARAM_EXITS, mazeConfig.exitConfig);
+    params.set(PARAM_SEED, mazeConfig.seed);
+    if (mazeConfig.customExits) {
+        params.set(PARAM_START, formatCoords(mazeConfig.customExits.start));
+        params.set(PARAM_END, formatCoords(mazeConfig.customExits.end));
+    }
+    if (mazeConfig.braid) {
+        params.set(PARAM_BRAID, mazeConfig.braid);
+    }
+    if (mazeConfig.checkpoints && mazeConfig.checkpoints.length) {
+        params.set(PARAM_CHECKPOINTS, mazeConfig.checkpoints.map(formatCoords).join(';'));
+    }
+    Object.entries(mazeConfig.terrain || {}).forEach(([terrain, cellCoords]) => {
+        params.set(terrain, cellCoords.map(formatCoords).join(';'));
+    });
+
+    const encodedMask = encodeMask(mazeConfig.shape, mazeConfig.size, mazeConfig.mask, element);
+    if (encodedMask) {
+        params.set(PARAM_MASK, encodedMask);
+    }
+    return `#${params}`;
+}
+
+/*
+ Throws an Error unless the maze configuration ({shape, size, algorithm, seed, exitConfig, braid, customExits, checkpoints,
+ terrain}) could have been produced using the sidebar. Used for links, and for mazes and replays that are loaded from files.
+ */
+export function validateMazeConfig(mazeConfig) {
+    const {shape, size, algorithm, seed, exitConfig, braid, customExits, checkpoints, terrain} = mazeConfig,
+        shapeConfig = config.shapes[shape];
+    if (!shapeConfig) {
+        throw new Error(`Unknown maze shape '${shape}'`);
+    }
+
+    if (!size || Object.keys(size).sort().join() !== Object.keys(shapeConfig.parameters).sort().join()) {
+        throw new Error(`Invalid size for a ${shape} maze`);
+    }
+    Object.entries(shapeConfig.parameters).forEach(([name, {min, max}]) => {
+        const value = size[name];
+        if (!(Number.isInteger(value) && value >= min && value <= max)) {
+            throw new Error(`The ${name} of the maze must be a number between ${min} and ${max}`);
+        }
+    });
+
+    if (!algorithms[algorithm]) {
+        throw new Error(`Unknown algorithm '${algorithm}'`);
+    }
+    if (!algorithms[algorithm].metadata.shapes.includes(shape)) {
+        throw new Error(`The '${algorithm}' algorithm can't be used with ${shape} mazes`);
+    }
+
+    if (!(Number.isInteger(seed) && seed >= 0)) {
+        throw new Error('The maze does not have a valid seed');
+    }
+
+    if (!EXIT_CONFIGS.includes(exitConfig)) {
+        throw new Error(`Unknown exit configuration '${exitConfig}'`);
+    }
+    if (customExits && !(isValidCoords(customExits.start) && isValidCoords(customExits.end))) {
+        throw new Error('The start and end cells are not valid');
+    }
+
+    // Mazes saved before braiding was added don't have a braid value
+    if (braid !== undefined && !isValidBraid(braid)) {
+        throw new Error(`The braid percentage must be a number between ${MIN_BRAID} and ${MAX_BRAID}`);
+    }
+
+    if (checkpoints && !(Array.isArray(checkpoints) && checkpoints.length <= MAX_CHECKPOINTS && checkpoints.every(isValidCoords))) {
+        throw new Error(`A maze can have no more than ${MAX_CHECKPOINTS} valid checkpoints`);
+    }
+
+    // Mazes saved before terrain was added to the configuration don't have any
+    const isValidTerrain = ([terrainId, cellCoords]) => PAINTED_TERRAINS.includes(terrainId) && Array.isArray(cellCoords) && cellCoords.every(isValidCoords);
+    if (terrain && !(typeof terrain === 'object' && Object.entries(terrain).every(isValidTerrain))) {
+        throw new Error('The maze contains invalid terrain');
+    }
+}
+
+// Returns null if the hash doesn't describe a maze, throws an Error if it does but the description is invalid
+export function parseShareHash(hash, element) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has(PARAM_SHAPE)) {
+        return null;
+    }
+
+    const shape = params.get(PARAM_SHAPE),
+        shapeConfig = config.shapes[shape];
+    if (!shapeConfig) {
+        throw new Error(`Unknown maze shape '${shape}'`);
+    }
+
+    const size = {};
+    Object.keys(shapeConfig.parameters).forEach(name => {
+        size[name] = Number(params.get(name));
+    });
+
+    if (!params.has(PARAM_SEED)) {
+        throw new Error('The link does not contain a valid seed');
+    }
+
+    const exitConfig = params.get(PARAM_EXITS) || EXITS_VERTICAL;
+
+    // Custom exits that haven't been placed yet leave the maze without an entrance or exit
+    let customExits = null;
+    if (exitConfig === EXITS_CUSTOM && (params.has(PARAM_START) || params.has(PARAM_END))) {
+        customExits = {start: parseCoords(params.get(PARAM_START)), end: parseCoords(params.get(PARAM_END))};
+        if (!(customExits.start && customExits.end)) {
+            throw new Error('The link does not contain valid start and end cells');
+        }
+    }
+
+    const checkpoints = params.has(PARAM_CHECKPOINTS) ? params.get(PARAM_CHECKPOINTS).split(';').map(parseCoords) : [];
+    if (!checkpoints.every(coords => coords)) {
+        throw new Error('The link contains an invalid checkpoint');
+    }
+
+    const terrain = {};
+    PAINTED_TERRAINS.filter(terrainId => params.has(terrainId)).forEach(terrainId => {
+        terrain[terrainId] = params.get(terrainId).split(';').map(parseCoords);
+        if (!terrain[terrainId].every(coords => coords)) {
+            throw new Error('The link contains an invalid terrain cell');
+        }
+    });
+
+    const mazeConfig = {
+        shape,
+        size,
+        algorithm: params.get(PARAM_ALGORITHM) || shapeConfig.defaultAlgorithm,
+        seed: Number(params.get(PARAM_SEED)),
+        exitConfig,
+        braid: params.has(PARAM_BRAID) ? Number(params.get(PARAM_BRAID)) : DEFAULT_BRAID,
+        customExits,
+        checkpoints,
+        terrain
+    };
+    validateMazeConfig(mazeConfig);
+
+    return {...mazeConfig, mask: decodeMask(shape, size, params.get(PARAM_MASK), element)};
+}
@@ -0,0 +1,27 @@
+import {METADATA_PATH} from './lib/constants.js';
+import {renderWithOverlays, fillArrow} from './cellGeometry.js';
+
+// The library draws the solution in red, so use the same colour for the arrows, this also means themes will change them both
+const ARROW_COLOUR = 'red',
+    ARROW_SIZE = 0.3;
+
+// Returns an overlay (see renderWithOverlays) that draws an arrow in each cell of the solution, pointing towards the exit
+export function buildSolutionArrowsOverlay(maze) {
+    return (surface, geometry) => {
+        const pathCells = (maze.metadata[METADATA_PATH] || []).map(coords => maze.getCellByCoordinates(coords));
+
+        surface.setColour(ARROW_COLOUR);
+        pathCells.slice(0, -1).forEach((cell, index) => {
+            fillArrow(surface, geometry.centre(cell), geometry.centre(pathCells[index + 1]), ARROW_SIZE);
+        });
+    };
+}
+
+// Renders the maze onto the surface, adding arrows to the solution if it is showing
+export function renderWithSolutionArrows(maze, surface, shape) {
+    if (maze.metadata[METADATA_PATH]) {
+        renderWithOverlays(maze, surface, shape, [buildSolutionArrowsOverlay(maze)]);
+    } else {
+        maze.render(surface);
+    }
+}
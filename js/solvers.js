@@ -0,0 +1,377 @@
+import {getLinkedNeighbours, buildPathFromParents, findPath} from './pathfinding.js';
+import {fillArrow} from './cellGeometry.js';
+
+export const SOLVER_BFS = 'bfs',
+    SOLVER_DFS = 'dfs',
+    SOLVER_A_STAR = 'aStar',
+    SOLVER_DEAD_END_FILLING = 'deadEndFilling',
+    SOLVER_LEFT_WALL_FOLLOWER = 'leftWallFollower',
+    SOLVER_RIGHT_WALL_FOLLOWER = 'rightWallFollower',
+    SOLVER_TREMAUX = 'tremaux',
+    DEFAULT_SOLVER = SOLVER_BFS,
+    SOLVER_TICK_MILLIS = 20,
+    SOLVER_DURATION_MILLIS = 10 * 1000;
+
+const EXPLORED_COLOUR = 'rgba(0, 107, 183, 0.25)',
+    FRONTIER_COLOUR = 'rgba(255, 193, 7, 0.6)',
+    FILLED_COLOUR = 'rgba(0, 0, 0, 0.4)',
+    CURRENT_COLOUR = '#006bb7',
+    PATH_COLOUR = 'red',
+    PATH_ARROW_SIZE = 0.3;
+
+/*
+ Every solver works one step at a time so that the search can be animated. The state object describes what the solver
+ has done so far, and is used to draw it:
+    explored: cells that the solver has visited
+    frontier: cells that the solver knows about but hasn't visited yet
+    filled:   cells that the solver has ruled out
+    current:  the cell that the solver looked at most recently
+    path:     the route that the solver found, from start to end, or null if it hasn't finished yet
+    failed:   true if the solver gave up without finding a route
+    steps:    the number of steps taken so far
+ */
+function buildSolverState(startCell) {
+    return {
+        explored: new Set(),
+        frontier: new Set([startCell]),
+        filled: new Set(),
+        current: null,
+        path: null,
+        failed: false,
+        steps: 0
+    };
+}
+
+// Breadth-first and depth-first searches only differ in which of the waiting cells they look at next
+function buildFrontierSearch(startCell, endCell, takeNextCell) {
+    const state = buildSolverState(startCell),
+        parents = new Map([[startCell, null]]),
+        waitingCells = [startCell];
+
+    return {
+        state,
+        oneStep() {
+            if (!waitingCells.length) {
+                state.failed = true;
+                return true;
+            }
+            const cell = takeNextCell(waitingCells);
+            state.frontier.delete(cell);
+            state.explored.add(cell);
+            state.current = cell;
+
+            if (cell === endCell) {
+                state.path = buildPathFromParents(parents, endCell);
+                return true;
+            }
+            getLinkedNeighbours(cell).filter(neighbour => !parents.has(neighbour)).forEach(neighbour => {
+                parents.set(neighbour, cell);
+                waitingCells.push(neighbour);
+                state.frontier.add(neighbour);
+            });
+            return false;
+        }
+    };
+}
+
+function distanceBetween(point1, point2) {
+    return Math.hypot(point1.x - point2.x, point1.y - point2.y);
+}
+
+function buildAStarSearch(maze, startCell, endCell, geometry) {
+    const state = buildSolverState(startCell),
+        parents = new Map([[startCell, null]]),
+        costs = new Map([[startCell, 0]]),
+        endCentre = geometry.centre(endCell);
+
+    // The estimate must never be more than the real number of moves needed, so divide by the longest possible move
+    let longestMove = 0;
+    maze.forEachCell(cell => {
+        getLinkedNeighbours(cell).forEach(neighbour => {
+            longestMove = Math.max(longestMove, distanceBetween(geometry.centre(cell), geometry.centre(neighbour)));
+        });
+    });
+    const estimateRemainingMoves = cell => longestMove ? distanceBetween(geometry.centre(cell), endCentre) / longestMove : 0;
+
+    return {
+        state,
+        oneStep() {
+            if (!state.frontier.size) {
+                state.failed = true;
+                return true;
+            }
+            let cell, lowestScore = Infinity;
+            state.frontier.forEach(frontierCell => {
+                const score = costs.get(frontierCell) + estimateRemainingMoves(frontierCell);
+                if (score < lowestScore) {
+                    lowestScore = score;
+                    cell = frontierCell;
+                }
+            });
+            state.frontier.delete(cell);
+            state.explored.add(cell);
+            state.current = cell;
+
+            if (cell === endCell) {
+                state.path = buildPathFromParents(parents, endCell);
+                return true;
+            }
+            const cost = costs.get(cell) + 1;
+            getLinkedNeighbours(cell).filter(neighbour => !state.explored.has(neighbour)).forEach(neighbour => {
+                if (!costs.has(neighbour) || cost < costs.get(neighbour)) {
+                    costs.set(neighbour, cost);
+                    parents.set(neighbour, cell);
+                    state.frontier.add(neighbour);
+                }
+            });
+            return false;
+        }
+    };
+}
+
+/*
+ Dead-end filling rules out one dead end at a time. Filling in a dead end can turn the cell next to it into a new dead end,
+ and once there are none left the only cells remaining are the ones on a route from the start to the end.
+ */
+function buildDeadEndFilling(maze, startCell, endCell) {
+    const state = buildSolverState(startCell),
+        countOpenNeighbours = cell => getLinkedNeighbours(cell).filter(neighbour => !state.filled.has(neighbour)).length,
+        isDeadEnd = cell => cell !== startCell && cell !== endCell && !state.filled.has(cell) && countOpenNeighbours(cell) <= 1,
+        deadEnds = [];
+
+    state.frontier.clear();
+    maze.forEachCell(cell => {
+        if (isDeadEnd(cell)) {
+            deadEnds.push(cell);
+        }
+    });
+
+    return {
+        state,
+        oneStep() {
+            const cell = deadEnds.shift();
+            if (!cell) {
+                state.path = findPath(startCell, endCell, (fromCell, toCell) => !state.filled.has(toCell));
+                state.failed = !state.path;
+                return true;
+            }
+            state.filled.add(cell);
+            state.explored.add(cell);
+            state.current = cell;
+            getLinkedNeighbours(cell).filter(isDeadEnd).forEach(neighbour => {
+                if (!deadEnds.includes(neighbour)) {
+                    deadEnds.push(neighbour);
+                }
+            });
+            return false;
+        }
+    };
+}
+
+function normaliseAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+/*
+ A wall follower keeps one hand on the wall, so at each junction it takes the left-most (or right-most) turn available,
+ only turning back when it reaches a dead end. Angles are measured on screen, where y increases downwards, so a left
+ turn is a negative change of angle.
+ */
+function buildWallFollower(maze, startCell, endCell, geometry, keepLeft) {
+    const state = buildSolverState(startCell),
+        route = [startCell],
+        maxSteps = maze.cellCount * 8,
+        angleBetween = (fromCell, toCell) => {
+            const from = geometry.centre(fromCell), to = geometry.centre(toCell);
+            return Math.atan2(to.y - from.y, to.x - from.x);
+        };
+
+    // The entrance is on the edge of the maze, so start off facing towards the middle
+    let centreX = 0, centreY = 0;
+    maze.forEachCell(cell => {
+        const {x, y} = geometry.centre(cell);
+        centreX += x / maze.cellCount;
+        centreY += y / maze.cellCount;
+    });
+    const startCentre = geometry.centre(startCell);
+    let heading = Math.atan2(centreY - startCentre.y, centreX - startCentre.x),
+        previousCell = null,
+        currentCell = startCell;
+
+    state.frontier.clear();
+    state.explored.add(startCell);
+    state.current = startCell;
+
+    return {
+        state,
+        oneStep() {
+            if (currentCell === endCell) {
+                state.path = route;
+                return true;
+            }
+            const neighbours = getLinkedNeighbours(currentCell);
+            if (!neighbours.length || state.steps > maxSteps) {
+                state.failed = true;
+                return true;
+            }
+
+            const turns = neighbours.filter(neighbour => neighbour !== previousCell)
+                .map(neighbour => ({neighbour, turn: normaliseAngle(angleBetween(currentCell, neighbour) - heading)}))
+                .sort((turn1, turn2) => keepLeft ? turn1.turn - turn2.turn : turn2.turn - turn1.turn),
+                nextCell = turns.length ? turns[0].neighbour : previousCell;
+
+            heading = angleBetween(currentCell, nextCell);
+            previousCell = currentCell;
+            currentCell = nextCell;
+
+            // Going back the way we came removes the last cell from the route, so that it ends up without any dead ends
+            if (nextCell === route[route.length - 2]) {
+                route.pop();
+            } else {
+                route.push(nextCell);
+            }
+            state.explored.add(nextCell);
+            state.current = nextCell;
+            return false;
+        }
+    };
+}
+
+/*
+ Trémaux's algorithm marks each passage every time it goes along it. It never goes along a passage that has been marked
+ twice, and when it arrives somewhere it has already been it turns back unless the passage it arrived by was already
+ marked. When it finishes, the passages that were marked once make up the route from the start to the end.
+ */
+function buildTremaux(maze, startCell, endCell) {
+    const state = buildSolverState(startCell),
+        marks = new Map(),
+        maxSteps = maze.cellCount * 8,
+        getMarks = (cell1, cell2) => (marks.get(cell1) || new Map()).get(cell2) || 0,
+        addMark = (cell1, cell2) => {
+            [[cell1, cell2], [cell2, cell1]].forEach(([from, to]) => {
+                if (!marks.has(from)) {
+                    marks.set(from, new Map());
+                }
+                marks.get(from).set(to, getMarks(from, to) + 1);
+            });
+        };
+
+    let previousCell = null,
+        currentCell = startCell,
+        arrivedAtVisitedCell = false;
+
+    state.frontier.clear();
+    state.explored.add(startCell);
+    state.current = startCell;
+
+    return {
+        state,
+        oneStep() {
+            if (currentCell === endCell) {
+                state.path = findPath(startCell, endCell, (fromCell, toCell) => getMarks(fromCell, toCell) === 1);
+                return true;
+            }
+            const neighbours = getLinkedNeighbours(currentCell),
+                otherNeighbours = neighbours.filter(neighbour => neighbour !== previousCell),
+                unmarkedNeighbour = otherNeighbours.find(neighbour => !getMarks(currentCell, neighbour));
+            if (!neighbours.length || state.steps > maxSteps) {
+                state.failed = true;
+                return true;
+            }
+
+            let nextCell;
+            if (previousCell && arrivedAtVisitedCell && getMarks(previousCell, currentCell) === 1) {
+                nextCell = previousCell;
+            } else if (unmarkedNeighbour) {
+                nextCell = unmarkedNeighbour;
+            } else if (previousCell && getMarks(previousCell, currentCell) < 2) {
+                nextCell = previousCell;
+            } else {
+                nextCell = neighbours.reduce((fewest, neighbour) => getMarks(currentCell, neighbour) < getMarks(currentCell, fewest) ? neighbour : fewest);
+            }
+
+            addMark(currentCell, nextCell);
+            arrivedAtVisitedCell = state.explored.has(nextCell);
+            previousCell = currentCell;
+            currentCell = nextCell;
+            state.explored.add(nextCell);
+            state.current = nextCell;
+            return false;
+        }
+    };
+}
+
+export const SOLVERS = {
+    [SOLVER_BFS]: {
+        description: 'Breadth-First Search',
+        build: (maze, startCell, endCell) => buildFrontierSearch(startCell, endCell, cells => cells.shift())
+    },
+    [SOLVER_DFS]: {
+        description: 'Depth-First Search',
+        build: (maze, startCell, endCell) => buildFrontierSearch(startCell, endCell, cells => cells.pop())
+    },
+    [SOLVER_A_STAR]: {
+        description: 'A* Search',
+        build: buildAStarSearch
+    },
+    [SOLVER_DEAD_END_FILLING]: {
+        description: 'Dead-End Filling',
+        build: buildDeadEndFilling
+    },
+    [SOLVER_LEFT_WALL_FOLLOWER]: {
+        description: 'Wall Follower (Left Hand)',
+        build: (maze, startCell, endCell, geometry) => buildWallFollower(maze, startCell, endCell, geometry, true)
+    },
+    [SOLVER_RIGHT_WALL_FOLLOWER]: {
+        description: 'Wall Follower (Right Hand)',
+        build: (maze, startCell, endCell, geometry) => buildWallFollower(maze, startCell, endCell, geometry, false)
+    },
+    [SOLVER_TREMAUX]: {
+        description: 'Trémaux',
+        build: buildTremaux
+    }
+};
+
+// The geometry (see cellGeometry.js) is used by the solvers that need to know which way each passage goes
+export function buildSolver(solverId, maze, startCell, endCell, geometry) {
+    const solver = SOLVERS[solverId].build(maze, startCell, endCell, geometry);
+    let done = false;
+
+    return {
+        state: solver.state,
+        oneStep() {
+            if (!done) {
+                solver.state.steps++;
+                done = solver.oneStep();
+            }
+            return done;
+        },
+        toCompletion() {
+            while (!this.oneStep());
+        }
+    };
+}
+
+// Returns an overlay (see renderWithOverlays) that shows the progress of a solver
+export function buildSolverOverlay(solverState) {
+    const {explored, frontier, filled, current, path} = solverState;
+
+    return (surface, geometry) => {
+        [[explored, EXPLORED_COLOUR], [frontier, FRONTIER_COLOUR], [filled, FILLED_COLOUR]].forEach(([cells, colour]) => {
+            surface.setColour(colour);
+            cells.forEach(cell => surface.fillPolygon(...geometry.polygon(cell)));
+        });
+
+        if (path) {
+            surface.setColour(PATH_COLOUR);
+            path.slice(0, -1).forEach((cell, index) => {
+                fillArrow(surface, geometry.centre(cell), geometry.centre(path[index + 1]), PATH_ARROW_SIZE);
+            });
+
+        } else if (current) {
+            const centre = geometry.centre(current);
+            surface.setColour(CURRENT_COLOUR);
+            surface.fillPolygon(...geometry.polygon(current).map(({x, y}) => ({x: centre.x + (x - centre.x) * 0.5, y: centre.y + (y - centre.y) * 0.5})));
+        }
+    };
+}
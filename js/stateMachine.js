@@ -5,7 +5,14 @@ export const STATE_INIT = 'Init',
     STATE_DISPLAYING = 'Displaying',
     STATE_DISTANCE_MAPPING = 'Distance Mapping',
     STATE_RUNNING_ALGORITHM = 'Running Algorithm',
-    STATE_PLAYING = 'Playing';
+    STATE_PLAYING = 'Playing',
+    STATE_REPLAYING = 'Replaying',
+    STATE_CHALLENGE_FAILED = 'Challenge Failed',
+    STATE_RACING = 'Racing',
+    STATE_SOLVING = 'Solving',
+    STATE_WEIGHTING = 'Weighting',
+    STATE_PLACING_EXITS = 'Placing Exits',
+    STATE_PLACING_CHECKPOINTS = 'Placing Checkpoints';
 
 export function buildStateMachine() {
     "use strict";
@@ -44,7 +51,7 @@ export function buildStateMachine() {
                 .thenChangeTo(STATE_MASKING);
         },
         displaying() {
-            ifStateIsOneOf(STATE_INIT, STATE_MASKING, STATE_PLAYING, STATE_DISTANCE_MAPPING, STATE_RUNNING_ALGORITHM)
+            ifStateIsOneOf(STATE_INIT, STATE_MASKING, STATE_PLAYING, STATE_DISTANCE_MAPPING, STATE_RUNNING_ALGORITHM, STATE_REPLAYING, STATE_CHALLENGE_FAILED, STATE_RACING, STATE_SOLVING, STATE_WEIGHTING, STATE_PLACING_EXITS, STATE_PLACING_CHECKPOINTS)
                 .thenChangeTo(STATE_DISPLAYING);
         },
         distanceMapping() {
@@ -52,9 +59,37 @@ export function buildStateMachine() {
                 .thenChangeTo(STATE_DISTANCE_MAPPING);
         },
         playing() {
-            ifStateIsOneOf(STATE_DISPLAYING)
+            ifStateIsOneOf(STATE_DISPLAYING, STATE_CHALLENGE_FAILED)
                 .thenChangeTo(STATE_PLAYING);
         },
+        challengeFailed() {
+            ifStateIsOneOf(STATE_PLAYING)
+                .thenChangeTo(STATE_CHALLENGE_FAILED);
+        },
+        racing() {
+            ifStateIsOneOf(STATE_DISPLAYING)
+                .thenChangeTo(STATE_RACING);
+        },
+        solving() {
+            ifStateIsOneOf(STATE_DISPLAYING)
+                .thenChangeTo(STATE_SOLVING);
+        },
+        weighting() {
+            ifStateIsOneOf(STATE_DISPLAYING)
+                .thenChangeTo(STATE_WEIGHTING);
+        },
+        placingExits() {
+            ifStateIsOneOf(STATE_DISPLAYING)
+                .thenChangeTo(STATE_PLACING_EXITS);
+        },
+        placingCheckpoints() {
+            ifStateIsOneOf(STATE_DISPLAYING)
+                .thenChangeTo(STATE_PLACING_CHECKPOINTS);
+        },
+        replaying() {
+            ifStateIsOneOf(STATE_DISPLAYING)
+                .thenChangeTo(STATE_REPLAYING);
+        },
         runningAlgorithm() {
             ifStateIsOneOf(STATE_INIT, STATE_DISPLAYING)
                 .thenChangeTo(STATE_RUNNING_ALGORITHM);
@@ -0,0 +1,162 @@
+import {findStartAndEndCells} from './mazeExport.js';
+import {getLinkedNeighbours, findPath, findDistances} from './pathfinding.js';
+
+export const STATS_FIELDS = [
+    {key: 'cellCount', description: 'Cells'},
+    {key: 'deadEnds', description: 'Dead Ends'},
+    {key: 'junctions', description: 'Junctions'},
+    {key: 'averageCorridorLength', description: 'Average Corridor Length'},
+    {key: 'longestCorridor', description: 'Longest Corridor'},
+    {key: 'corridorLengths', description: 'Corridor Lengths'},
+    {key: 'solutionLength', description: 'Solution Length'},
+    {key: 'longestPath', description: 'Longest Path'},
+    {key: 'riverFactor', description: 'River Factor'},
+    {key: 'difficulty', description: 'Difficulty'}
+];
+
+function getCellKey(cell) {
+    return cell.coords.join(',');
+}
+
+// The cell that is the most steps away from startCell, along with the number of steps needed to reach it
+function findFurthestCell(startCell) {
+    let furthestCell = startCell,
+        furthestDistance = 0;
+
+    findDistances(startCell).forEach((distance, cell) => {
+        if (distance > furthestDistance) {
+            furthestCell = cell;
+            furthestDistance = distance;
+        }
+    });
+    return {furthestCell, furthestDistance};
+}
+
+// Corridors are the runs of passages between cells that don't have exactly 2 exits (ie dead ends, junctions and exits)
+function measureCorridors(cells) {
+    const isCorridorCell = cell => getLinkedNeighbours(cell).length === 2,
+        walkedPassages = new Set(),
+        passageKey = (cell1, cell2) => [getCellKey(cell1), getCellKey(cell2)].sort().join('|'),
+        lengths = [];
+
+    cells.filter(cell => !isCorridorCell(cell)).forEach(nodeCell => {
+        getLinkedNeighbours(nodeCell).forEach(firstCell => {
+            if (walkedPassages.has(passageKey(nodeCell, firstCell))) {
+                return;
+            }
+            let previousCell = nodeCell,
+                currentCell = firstCell,
+                length = 1;
+            walkedPassages.add(passageKey(previousCell, currentCell));
+
+            while (isCorridorCell(currentCell)) {
+                const nextCell = getLinkedNeighbours(currentCell).find(cell => cell !== previousCell);
+                walkedPassages.add(passageKey(currentCell, nextCell));
+                previousCell = currentCell;
+                currentCell = nextCell;
+                length++;
+            }
+            lengths.push(length);
+        });
+    });
+
+    return lengths;
+}
+
+function round(value, places = 2) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+/*
+ Calculates statistics describing the layout of a completed maze:
+   - corridor lengths are measured in passages between dead ends/junctions, with corridorLengths mapping each length to the number of corridors that have it
+   - solutionLength and longestPath are measured in cells, the longest path being the furthest apart pair of cells in the maze.
+     It is found by searching from the cell furthest from any other cell, which is exact for perfect mazes but only gives a
+     lower bound for mazes with loops (see braid.js)
+   - riverFactor is the proportion of cells that have exactly 2 exits, high values mean long winding passages with little branching
+   - difficulty is a score from 0 to 100 combining the length of the solution relative to the size of the maze, the number of
+     junctions on the solution where a wrong turn can be taken, and how much the maze branches
+ */
+export function computeMazeStats(maze) {
+    const cells = [];
+    maze.forEachCell(cell => cells.push(cell));
+
+    const linkCounts = cells.map(cell => getLinkedNeighbours(cell).length),
+        cellCount = cells.length,
+        deadEnds = linkCounts.filter(count => count === 1).length,
+        junctions = linkCounts.filter(count => count > 2).length,
+        corridorLengthList = measureCorridors(cells),
+        corridorLengths = corridorLengthList.reduce((counts, length) => {
+            counts[length] = (counts[length] || 0) + 1;
+            return counts;
+        }, {}),
+        riverFactor = linkCounts.filter(count => count === 2).length / cellCount;
+
+    const {furthestCell} = findFurthestCell(cells[0]),
+        longestPath = findFurthestCell(furthestCell).furthestDistance + 1;
+
+    const [startCell, endCell] = findStartAndEndCells(maze),
+        solution = startCell && endCell ? findPath(startCell, endCell) || [] : [],
+        solutionLength = solution.length,
+        decisionPoints = solution.slice(0, -1).filter(cell => getLinkedNeighbours(cell).length > 2).length;
+
+    let difficulty = null;
+    if (solutionLength) {
+        const lengthScore = Math.min(1, 2 * solutionLength / cellCount),
+            decisionScore = Math.min(1, decisionPoints / Math.sqrt(cellCount)),
+            branchingScore = 1 - riverFactor;
+        difficulty = Math.round(100 * (0.5 * lengthScore + 0.3 * decisionScore + 0.2 * branchingScore));
+    }
+
+    return {
+        cellCount,
+        deadEnds,
+        junctions,
+        averageCorridorLength: corridorLengthList.length ? round(corridorLengthList.reduce((total, length) => total + length, 0) / corridorLengthList.length) : 0,
+        longestCorridor: corridorLengthList.length ? Math.max(...corridorLengthList) : 0,
+        corridorLengths,
+        solutionLength: solutionLength || null,
+        longestPath,
+        riverFactor: round(riverFactor),
+        difficulty
+    };
+}
+
+export function formatStatValue(key, value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (key === 'corridorLengths') {
+        return Object.entries(value).map(([length, count]) => `${length}:${count}`).join(' ');
+    }
+    return String(value);
+}
+
+// The settings that each maze was made with, which come before its stats in the rows built by buildStatsRow
+const MAZE_KEYS = ['shape', 'size', 'algorithm', 'exitConfig', 'seed'];
+
+// Used by both the batch page and the command-line tool, so that their stats files have the same columns
+export function buildStatsRow(model, seed, stats) {
+    return {
+        shape: model.shape,
+        size: Object.values(model.size).join('x'),
+        algorithm: model.algorithm,
+        exitConfig: model.exitConfig,
+        seed,
+        ...stats
+    };
+}
+
+export function buildStatsCsv(rows) {
+    if (!rows.length) {
+        return '';
+    }
+    const keys = [...MAZE_KEYS, ...STATS_FIELDS.map(field => field.key)],
+        escape = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+    return [
+        keys.join(','),
+        ...rows.map(row => keys.map(key => escape(formatStatValue(key, row[key]))).join(','))
+    ].join('\n') + '\n';
+}
@@ -0,0 +1,118 @@
+import {METADATA_DISTANCE, METADATA_MAX_DISTANCE} from './lib/constants.js';
+import {findPath, findCheapestRoutes, buildPathFromParents} from './pathfinding.js';
+
+export const METADATA_TERRAIN = 'terrain',
+    TERRAIN_NORMAL = 'normal',
+    TERRAIN_MUD = 'mud',
+    TERRAIN_WATER = 'water';
+
+// The cost is what it takes to move into a cell of each type, so a route through a cell of mud counts as 3 moves
+export const TERRAINS = {
+    [TERRAIN_NORMAL]: {description: 'Normal', cost: 1},
+    [TERRAIN_MUD]: {description: 'Mud', cost: 3, colour: 'rgba(121, 85, 72, 0.45)'},
+    [TERRAIN_WATER]: {description: 'Water', cost: 5, colour: 'rgba(33, 150, 243, 0.45)'}
+};
+
+// The terrains that can be painted onto cells, normal cells don't have any terrain recorded against them
+export const PAINTED_TERRAINS = Object.keys(TERRAINS).filter(terrain => terrain !== TERRAIN_NORMAL);
+
+export function getTerrainCost(cell) {
+    return TERRAINS[cell.metadata[METADATA_TERRAIN] || TERRAIN_NORMAL].cost;
+}
+
+// Painting a cell with the terrain it already has changes it back to normal, in the same way that masked cells are toggled
+export function paintTerrain(cell, terrain) {
+    if (terrain === TERRAIN_NORMAL || cell.metadata[METADATA_TERRAIN] === terrain) {
+        delete cell.metadata[METADATA_TERRAIN];
+    } else {
+        cell.metadata[METADATA_TERRAIN] = terrain;
+    }
+}
+
+// The cost of a route, or of any other group of cells, which is the same as the number of cells if there is no terrain
+export function getTotalCost(cells) {
+    return cells.reduce((total, cell) => total + getTerrainCost(cell), 0);
+}
+
+export function hasTerrain(maze) {
+    let found = false;
+    maze.forEachCell(cell => {
+        found = found || !!cell.metadata[METADATA_TERRAIN];
+    });
+    return found;
+}
+
+export function clearTerrain(maze) {
+    maze.clearMetadata(METADATA_TERRAIN);
+}
+
+/*
+ Lists the coordinates of the painted cells of each terrain, eg {mud: [[0, 1], [2, 3]], water: [[4, 4]]}. Terrains that
+ haven't been used are left out, so a maze without any terrain gives an empty object.
+ */
+export function getPaintedTerrain(maze) {
+    const paintedTerrain = {};
+    maze.forEachCell(cell => {
+        const terrain = cell.metadata[METADATA_TERRAIN];
+        if (terrain) {
+            (paintedTerrain[terrain] = paintedTerrain[terrain] || []).push(cell.coords);
+        }
+    });
+    return paintedTerrain;
+}
+
+// Replaces the terrain in the maze with a description from getPaintedTerrain, any cells that aren't in the maze are ignored
+export function applyPaintedTerrain(maze, paintedTerrain) {
+    const cellsByCoords = new Map();
+    maze.forEachCell(cell => cellsByCoords.set(cell.coords.join(), cell));
+
+    clearTerrain(maze);
+    Object.entries(paintedTerrain).forEach(([terrain, cellCoords]) => {
+        cellCoords.map(coords => cellsByCoords.get(coords.join())).filter(cell => cell).forEach(cell => {
+            cell.metadata[METADATA_TERRAIN] = terrain;
+        });
+    });
+}
+
+/*
+ Returns the cells on the cheapest route from startCell to endCell, or an empty array if there is no route. If no terrain
+ has been painted this is just the shortest route. The optional canMove function rules out moves (see findPath).
+ */
+export function findCheapestPath(maze, startCell, endCell, canMove = () => true) {
+    if (!hasTerrain(maze)) {
+        return findPath(startCell, endCell, canMove) || [];
+    }
+    const {parents} = findCheapestRoutes(startCell, getTerrainCost, canMove);
+    return parents.has(endCell) ? buildPathFromParents(parents, endCell) : [];
+}
+
+/*
+ Works like the maze's own findDistancesFrom method, and stores its results in the same way so that the maze renders them
+ as usual. If any terrain has been painted it measures routes by their total cost rather than by the number of cells,
+ otherwise it just calls the maze method.
+ */
+export function findCostsFrom(maze, coords) {
+    if (!hasTerrain(maze)) {
+        maze.findDistancesFrom(...coords);
+        return;
+    }
+    const {costs} = findCheapestRoutes(maze.getCellByCoordinates(coords), getTerrainCost);
+    maze.clearDistances();
+    costs.forEach((cost, cell) => {
+        cell.metadata[METADATA_DISTANCE] = cost;
+    });
+    maze.metadata[METADATA_MAX_DISTANCE] = Math.max(...costs.values());
+}
+
+// Returns an overlay (see renderWithOverlays) that fills each cell according to its terrain
+export function buildTerrainOverlay(maze) {
+    return (surface, geometry) => {
+        maze.forEachCell(cell => {
+            const terrain = cell.metadata[METADATA_TERRAIN];
+            if (terrain) {
+                surface.setColour(TERRAINS[terrain].colour);
+                surface.fillPolygon(...geometry.polygon(cell));
+            }
+        });
+    };
+}
@@ -0,0 +1,168 @@
+export const WALL_JOINS_ROUND = 'round',
+    WALL_JOINS_SQUARE = 'square',
+    DEFAULT_THEME_ID = 'classic';
+
+export const THEMES = Object.freeze({
+    classic: {
+        description: 'Classic',
+        wallColour: '#000000',
+        wallThickness: 1,
+        background: '#ffffff',
+        solutionColour: '#ff0000',
+        distanceNear: '#ffff00',
+        distanceFar: '#000000',
+        markerColour: '#006bb7',
+        wallJoins: WALL_JOINS_ROUND
+    },
+    highContrast: {
+        description: 'High Contrast (Black and White)',
+        wallColour: '#000000',
+        wallThickness: 2,
+        background: '#ffffff',
+        solutionColour: '#000000',
+        distanceNear: '#ffffff',
+        distanceFar: '#404040',
+        markerColour: '#000000',
+        wallJoins: WALL_JOINS_SQUARE
+    },
+    blueprint: {
+        description: 'Blueprint',
+        wallColour: '#ffffff',
+        wallThickness: 1,
+        background: '#1f4e8c',
+        solutionColour: '#ffd166',
+        distanceNear: '#9ecbff',
+        distanceFar: '#0b2545',
+        markerColour: '#ff6b6b',
+        wallJoins: WALL_JOINS_ROUND
+    },
+    sepia: {
+        description: 'Sepia',
+        wallColour: '#4a3222',
+        wallThickness: 1.5,
+        background: '#f4ecd8',
+        solutionColour: '#b5452b',
+        distanceNear: '#f9e4b7',
+        distanceFar: '#6b4226',
+        markerColour: '#2f6f5e',
+        wallJoins: WALL_JOINS_ROUND
+    }
+});
+
+// Used by the batch page to build the theme editor
+export const THEME_FIELDS = [
+    {key: 'wallColour',     description: 'Walls',              type: 'colour'},
+    {key: 'wallThickness',  description: 'Wall thickness',     type: 'number', min: 0.5, max: 5, step: 0.5},
+    {key: 'background',     description: 'Background',         type: 'colour'},
+    {key: 'solutionColour', description: 'Solution path',      type: 'colour'},
+    {key: 'distanceNear',   description: 'Distance map start', type: 'colour'},
+    {key: 'distanceFar',    description: 'Distance map end',   type: 'colour'},
+    {key: 'markerColour',   description: 'Start/finish',       type: 'colour'},
+    {key: 'wallJoins',      description: 'Wall joins',         type: 'select', values: [WALL_JOINS_ROUND, WALL_JOINS_SQUARE]}
+];
+
+// The colours that the maze library uses when drawing, each one is replaced by the corresponding theme colour
+const LIB_COLOURS = {
+    white: 'background',
+    black: 'wallColour',
+    red: 'solutionColour',
+    '#006bb7': 'markerColour'
+};
+
+const THEME_STORAGE_KEY = 'mazeTheme';
+
+export function getTheme(themeId) {
+    return {...(THEMES[themeId] || THEMES[DEFAULT_THEME_ID])};
+}
+
+// Returns the id of the preset that the theme matches, or null if it has been customised
+export function findThemeId(theme) {
+    const themeId = Object.keys(THEMES).find(id => THEME_FIELDS.every(field => THEMES[id][field.key] === theme[field.key]));
+    return themeId || null;
+}
+
+// Fills in anything missing from a saved theme, so that themes saved by older versions still work
+export function normaliseTheme(theme) {
+    return {...THEMES[DEFAULT_THEME_ID], ...(theme || {})};
+}
+
+export function loadSavedTheme() {
+    try {
+        return normaliseTheme(JSON.parse(localStorage.getItem(THEME_STORAGE_KEY)));
+    } catch (error) {
+        console.warn('Failed to load theme:', error);
+        return getTheme(DEFAULT_THEME_ID);
+    }
+}
+
+export function saveTheme(theme) {
+    localStorage.setItem(THEME_STORAGE_KEY, JSON.stringify(theme));
+}
+
+function parseHexColour(colour) {
+    const value = parseInt(colour.slice(1), 16);
+    return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+/*
+ The library shades distance maps from bright (close to the starting point) to dark (far away), so the brightness of the
+ colour it asks for is used to pick a point on the theme's gradient
+ */
+function mapDistanceColour(colour, theme) {
+    const match = colour.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)/);
+    if (!match) {
+        return colour;
+    }
+    const brightness = Math.max(...match.slice(1, 4).map(Number)) / 255,
+        near = parseHexColour(theme.distanceNear),
+        far = parseHexColour(theme.distanceFar),
+        mixed = near.map((nearValue, i) => Math.round(far[i] + (nearValue - far[i]) * brightness));
+
+    return `rgb(${mixed.join(',')})`;
+}
+
+export function mapColour(colour, theme) {
+    const normalisedColour = String(colour).toLowerCase().replace(/\s/g, ''),
+        themeKey = LIB_COLOURS[normalisedColour];
+
+    return themeKey ? theme[themeKey] : mapDistanceColour(normalisedColour, theme);
+}
+
+// Wraps one of the library's drawing surfaces so that the maze is drawn using the colours and wall style of the theme
+export function themedSurface(surface, theme, ctx) {
+    return Object.assign({}, surface, {
+        setColour(colour) {
+            surface.setColour(mapColour(colour, theme));
+        },
+        setSpaceRequirements(...args) {
+            surface.setSpaceRequirements(...args);
+            if (ctx) {
+                ctx.lineWidth *= theme.wallThickness;
+                ctx.lineCap = theme.wallJoins;
+                ctx.lineJoin = theme.wallJoins === WALL_JOINS_ROUND ? 'round' : 'miter';
+            }
+        }
+    });
+}
+
+// SVG line styles are attributes of the individual elements, so these are updated once the maze has been drawn
+export function applyThemeToSvg(elSvg, theme) {
+    function updateElement(el) {
+        const strokeWidth = el.getAttribute('stroke-width');
+        if (strokeWidth !== null) {
+            el.setAttribute('stroke-width', Number(strokeWidth) * theme.wallThickness);
+        }
+        if (el.getAttribute('stroke') !== null) {
+            el.setAttribute('stroke-linecap', theme.wallJoins);
+            el.setAttribute('stroke-linejoin', theme.wallJoins === WALL_JOINS_ROUND ? 'round' : 'miter');
+        }
+        [...el.children].forEach(updateElement);
+    }
+    [...elSvg.children].forEach(updateElement);
+
+    const elBackground = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    elBackground.setAttribute('width', '100%');
+    elBackground.setAttribute('height', '100%');
+    elBackground.setAttribute('fill', theme.background);
+    elSvg.insertBefore(elBackground, elSvg.firstChild);
+}
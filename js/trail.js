@@ -0,0 +1,47 @@
+import {fillArrow} from './cellGeometry.js';
+
+export const METADATA_PLAYER_DEAD_END = 'playerDeadEnd';
+
+const BREADCRUMB_COLOUR = 'rgba(0, 107, 183, 0.8)',
+    DEAD_END_COLOUR = 'rgba(0, 0, 0, 0.25)',
+    BREADCRUMB_SIZE = 0.2;
+
+/*
+ The trail is the player's route from the start cell to their current cell, without any of the branches that they went
+ down and then came back out of. Going back to the previous cell on the trail removes the last cell from it, and that
+ cell is marked as a dead end, since the player has explored it and decided it was the wrong way. In a braided maze the
+ player can also get back onto their trail by going round a loop, in which case the loop is removed from the trail.
+ */
+export function updateTrail(trail, targetCell) {
+    const trailIndex = trail.indexOf(targetCell);
+    if (targetCell === trail[trail.length - 2]) {
+        trail.pop().metadata[METADATA_PLAYER_DEAD_END] = true;
+    } else if (trailIndex >= 0) {
+        trail.splice(trailIndex + 1);
+    } else {
+        delete targetCell.metadata[METADATA_PLAYER_DEAD_END];
+        trail.push(targetCell);
+    }
+}
+
+// Returns an overlay (see renderWithOverlays) that draws an arrow in each cell of the trail, pointing towards the next one
+export function buildTrailOverlay(trail) {
+    return (surface, geometry) => {
+        surface.setColour(BREADCRUMB_COLOUR);
+        trail.slice(0, -1).forEach((cell, index) => {
+            fillArrow(surface, geometry.centre(cell), geometry.centre(trail[index + 1]), BREADCRUMB_SIZE);
+        });
+    };
+}
+
+// Returns an overlay (see renderWithOverlays) that shades every cell the player has marked as a dead end
+export function buildDeadEndOverlay(maze) {
+    return (surface, geometry) => {
+        surface.setColour(DEAD_END_COLOUR);
+        maze.forEachCell(cell => {
+            if (cell.metadata[METADATA_PLAYER_DEAD_END]) {
+                surface.fillPolygon(...geometry.polygon(cell));
+            }
+        });
+    };
+}
@@ -20,10 +20,59 @@ export const
     EVENT_KEY_PRESS = 'keyPress',
     EVENT_WINDOW_RESIZED = 'windowResized',
     EVENT_EXITS_SELECTED = 'exitsSelected',
-    EVENT_BATCH_GENERATE_CLICKED = 'batchGenerateClicked';
-
-
-import {STATE_INIT, STATE_DISPLAYING, STATE_PLAYING, STATE_MASKING, STATE_DISTANCE_MAPPING, STATE_RUNNING_ALGORITHM} from './stateMachine.js';
+    EVENT_BATCH_GENERATE_CLICKED = 'batchGenerateClicked',
+    EVENT_STATS_BUTTON_CLICKED = 'statsButtonClicked',
+    EVENT_DOWNLOAD_JSON_CLICKED = 'downloadJsonClicked',
+    EVENT_MAZE_FILE_SELECTED = 'mazeFileSelected',
+    EVENT_DOWNLOAD_PNG_CLICKED = 'downloadPngClicked',
+    EVENT_THEME_SELECTED = 'themeSelected',
+    EVENT_COPY_LINK_CLICKED = 'copyLinkClicked',
+    EVENT_LEADERBOARD_BUTTON_CLICKED = 'leaderboardButtonClicked',
+    EVENT_PLAYER_NAME_CHANGED = 'playerNameChanged',
+    EVENT_REPLAY_BUTTON_CLICKED = 'replayButtonClicked',
+    EVENT_REPLAY_SPEED_SELECTED = 'replaySpeedSelected',
+    EVENT_EXPORT_REPLAY_BUTTON_CLICKED = 'exportReplayButtonClicked',
+    EVENT_STOP_REPLAY_BUTTON_CLICKED = 'stopReplayButtonClicked',
+    EVENT_FOG_MODE_SELECTED = 'fogModeSelected',
+    EVENT_FOG_RADIUS_CHANGED = 'fogRadiusChanged',
+    EVENT_CHALLENGE_SELECTED = 'challengeSelected',
+    EVENT_DISMISS_CHALLENGE_BUTTON_CLICKED = 'dismissChallengeButtonClicked',
+    EVENT_PUZZLE_MODE_SELECTED = 'puzzleModeSelected',
+    EVENT_RACE_BUTTON_CLICKED = 'raceButtonClicked',
+    EVENT_DIRECTIONAL_INPUT = 'directionalInput',
+    EVENT_HINT_BUTTON_CLICKED = 'hintButtonClicked',
+    EVENT_HINT_BUDGET_CHANGED = 'hintBudgetChanged',
+    EVENT_UNDO_BUTTON_CLICKED = 'undoButtonClicked',
+    EVENT_MARK_DEAD_ENDS_CHANGED = 'markDeadEndsChanged',
+    EVENT_SOLUTION_ARROWS_CHANGED = 'solutionArrowsChanged',
+    EVENT_SOLVER_SELECTED = 'solverSelected',
+    EVENT_ANIMATE_SOLVER_BUTTON_CLICKED = 'animateSolverButtonClicked',
+    EVENT_FINISH_SOLVING_BUTTON_CLICKED = 'finishSolvingButtonClicked',
+    EVENT_STOP_SOLVING_BUTTON_CLICKED = 'stopSolvingButtonClicked',
+    EVENT_BRAID_CHANGED = 'braidChanged',
+    EVENT_PAINT_TERRAIN_BUTTON_CLICKED = 'paintTerrainButtonClicked',
+    EVENT_TERRAIN_SELECTED = 'terrainSelected',
+    EVENT_CLEAR_TERRAIN_BUTTON_CLICKED = 'clearTerrainButtonClicked',
+    EVENT_FINISH_TERRAIN_BUTTON_CLICKED = 'finishTerrainButtonClicked',
+    EVENT_PLACE_EXITS_BUTTON_CLICKED = 'placeExitsButtonClicked',
+    EVENT_CANCEL_PLACING_EXITS_BUTTON_CLICKED = 'cancelPlacingExitsButtonClicked',
+    EVENT_EDIT_CHECKPOINTS_BUTTON_CLICKED = 'editCheckpointsButtonClicked',
+    EVENT_CLEAR_CHECKPOINTS_BUTTON_CLICKED = 'clearCheckpointsButtonClicked',
+    EVENT_FINISH_CHECKPOINTS_BUTTON_CLICKED = 'finishCheckpointsButtonClicked';
+
+
+import {STATE_INIT, STATE_DISPLAYING, STATE_PLAYING, STATE_MASKING, STATE_DISTANCE_MAPPING, STATE_RUNNING_ALGORITHM, STATE_REPLAYING, STATE_CHALLENGE_FAILED, STATE_RACING, STATE_SOLVING, STATE_WEIGHTING, STATE_PLACING_EXITS, STATE_PLACING_CHECKPOINTS} from './stateMachine.js';
+import {STATS_FIELDS, formatStatValue} from './stats.js';
+import {formatTime} from './history.js';
+import {FOG_OFF, MIN_FOG_RADIUS, MAX_FOG_RADIUS} from './fog.js';
+import {CHALLENGE_WARNING_MILLIS} from './challenge.js';
+import {buildGamepadInput} from './gamepad.js';
+import {MIN_HINT_BUDGET, MAX_HINT_BUDGET} from './hints.js';
+import {MIN_BRAID, MAX_BRAID} from './braid.js';
+import {TERRAINS} from './terrain.js';
+import {MAX_CHECKPOINTS} from './checkpoints.js';
+
+const SWIPE_MIN_DISTANCE_PX = 30;
 
 export function buildView(model, stateMachine) {
     "use strict";
@@ -35,19 +84,71 @@ export function buildView(model, stateMachine) {
         elBatchGenerateButton = document.getElementById('batchGenerate'),
         elShowDistanceMapButton = document.getElementById('showDistanceMap'),
         elClearDistanceMapButton = document.getElementById('clearDistanceMap'),
+        elPaintTerrainButton = document.getElementById('paintTerrain'),
+        elTerrainList = document.getElementById('terrainSelector'),
+        elClearTerrainButton = document.getElementById('clearTerrain'),
+        elFinishTerrainButton = document.getElementById('finishTerrain'),
+        elPlaceExitsButton = document.getElementById('placeExits'),
+        elCancelPlacingExitsButton = document.getElementById('cancelPlacingExits'),
+        elEditCheckpointsButton = document.getElementById('editCheckpoints'),
+        elClearCheckpointsButton = document.getElementById('clearCheckpoints'),
+        elFinishCheckpointsButton = document.getElementById('finishCheckpoints'),
         elCreateMaskButton = document.getElementById('createMask'),
         elSaveMaskButton = document.getElementById('saveMask'),
         elClearMaskButton = document.getElementById('clearMask'),
         elFinishRunningButton = document.getElementById('finishRunning'),
         elSolveButton = document.getElementById('solve'),
+        elSolutionOptionsList = document.getElementById('solutionOptions'),
+        elSolverOptionsList = document.getElementById('solverOptions'),
+        elSolverSelect = document.getElementById('solverSelect'),
+        elAnimateSolverButton = document.getElementById('animateSolver'),
+        elFinishSolvingButton = document.getElementById('finishSolving'),
+        elStopSolvingButton = document.getElementById('stopSolving'),
+        elSolutionArrowsInput = document.getElementById('solutionArrowsInput'),
         elPlayButton = document.getElementById('play'),
         elStopButton = document.getElementById('stop'),
+        elRaceButton = document.getElementById('race'),
+        elHintButton = document.getElementById('hint'),
+        elUndoButton = document.getElementById('undo'),
+        elDeadEndOptionsList = document.getElementById('deadEndOptions'),
+        elMarkDeadEndsInput = document.getElementById('markDeadEndsInput'),
+        elHintBudgetList = document.getElementById('hintBudget'),
+        elHintBudgetInput = document.getElementById('hintBudgetInput'),
+        elReplayButton = document.getElementById('replay'),
+        elReplaySpeedList = document.getElementById('replaySpeedSelector'),
+        elExportReplayButton = document.getElementById('exportReplay'),
+        elStopReplayButton = document.getElementById('stopReplay'),
+        elFogModeList = document.getElementById('fogSelector'),
+        elFogRadiusList = document.getElementById('fogRadius'),
+        elFogRadiusInput = document.getElementById('fogRadiusInput'),
+        elChallengeList = document.getElementById('challengeSelector'),
+        elPuzzleModeList = document.getElementById('puzzleSelector'),
+        elChallengeTimer = document.getElementById('challengeTimer'),
+        elDismissChallengeButton = document.getElementById('dismissChallenge'),
         elChangeParamsButton = document.getElementById('changeParams'),
         elDownloadButton = document.getElementById('download'),
+        elStatsButton = document.getElementById('stats'),
+        elLeaderboardButton = document.getElementById('leaderboard'),
+        elLeaderboardDetails = document.getElementById('leaderboardDetails'),
+        elPlayerOptionsList = document.getElementById('playerOptions'),
+        elPlayerNameInput = document.getElementById('playerNameInput'),
+        elDownloadJsonButton = document.getElementById('downloadJson'),
+        elCopyLinkButton = document.getElementById('copyLink'),
+        elDownloadPngButton = document.getElementById('downloadPng'),
+        elPngOptionsList = document.getElementById('pngOptions'),
+        elPngSizeSelect = document.getElementById('pngSize'),
+        elPngDpiSelect = document.getElementById('pngDpi'),
+        elThemeOptionsList = document.getElementById('themeOptions'),
+        elThemeSelect = document.getElementById('themeSelect'),
+        elOpenMazeButton = document.getElementById('openMaze'),
+        elOpenMazeInput = document.getElementById('openMazeInput'),
         elInfo = document.getElementById('info'),
+        elDetails = document.getElementById('details'),
         elSeedInput = document.getElementById('seedInput'),
         elSizeParameterList = document.getElementById('sizeParameters'),
         elSeedParameterList = document.getElementById('seedParameters'),
+        elBraidList = document.getElementById('braidParameters'),
+        elBraidInput = document.getElementById('braidInput'),
         elMazeShapeList = document.getElementById('shapeSelector'),
         elMazeAlgorithmList = document.getElementById('algorithmSelector'),
         elAlgorithmDelayList = document.getElementById('delaySelector'),
@@ -61,17 +162,107 @@ export function buildView(model, stateMachine) {
     elBatchGenerateButton.onclick = () => eventTarget.trigger(EVENT_BATCH_GENERATE_CLICKED);
     elShowDistanceMapButton.onclick = () => eventTarget.trigger(EVENT_SHOW_MAP_BUTTON_CLICKED);
     elClearDistanceMapButton.onclick = () => eventTarget.trigger(EVENT_CLEAR_MAP_BUTTON_CLICKED);
+    elPaintTerrainButton.onclick = () => eventTarget.trigger(EVENT_PAINT_TERRAIN_BUTTON_CLICKED);
+    elClearTerrainButton.onclick = () => eventTarget.trigger(EVENT_CLEAR_TERRAIN_BUTTON_CLICKED);
+    elFinishTerrainButton.onclick = () => eventTarget.trigger(EVENT_FINISH_TERRAIN_BUTTON_CLICKED);
+    elPlaceExitsButton.onclick = () => eventTarget.trigger(EVENT_PLACE_EXITS_BUTTON_CLICKED);
+    elCancelPlacingExitsButton.onclick = () => eventTarget.trigger(EVENT_CANCEL_PLACING_EXITS_BUTTON_CLICKED);
+    elEditCheckpointsButton.onclick = () => eventTarget.trigger(EVENT_EDIT_CHECKPOINTS_BUTTON_CLICKED);
+    elClearCheckpointsButton.onclick = () => eventTarget.trigger(EVENT_CLEAR_CHECKPOINTS_BUTTON_CLICKED);
+    elFinishCheckpointsButton.onclick = () => eventTarget.trigger(EVENT_FINISH_CHECKPOINTS_BUTTON_CLICKED);
     elCreateMaskButton.onclick = () => eventTarget.trigger(EVENT_CREATE_MASK_BUTTON_CLICKED);
     elSaveMaskButton.onclick = () => eventTarget.trigger(EVENT_SAVE_MASK_BUTTON_CLICKED);
     elClearMaskButton.onclick = () => eventTarget.trigger(EVENT_CLEAR_MASK_BUTTON_CLICKED);
     elFinishRunningButton.onclick = () => eventTarget.trigger(EVENT_FINISH_RUNNING_BUTTON_CLICKED);
     elChangeParamsButton.onclick = () => eventTarget.trigger(EVENT_CHANGE_PARAMS_BUTTON_CLICKED);
     elSolveButton.onclick = () => eventTarget.trigger(EVENT_SOLVE_BUTTON_CLICKED);
+    elSolverSelect.onchange = () => eventTarget.trigger(EVENT_SOLVER_SELECTED, elSolverSelect.value);
+    elAnimateSolverButton.onclick = () => eventTarget.trigger(EVENT_ANIMATE_SOLVER_BUTTON_CLICKED);
+    elFinishSolvingButton.onclick = () => eventTarget.trigger(EVENT_FINISH_SOLVING_BUTTON_CLICKED);
+    elStopSolvingButton.onclick = () => eventTarget.trigger(EVENT_STOP_SOLVING_BUTTON_CLICKED);
+    elSolutionArrowsInput.onchange = () => eventTarget.trigger(EVENT_SOLUTION_ARROWS_CHANGED, elSolutionArrowsInput.checked);
     elPlayButton.onclick = () => eventTarget.trigger(EVENT_PLAY_BUTTON_CLICKED);
     elStopButton.onclick = () => eventTarget.trigger(EVENT_STOP_BUTTON_CLICKED);
+    elRaceButton.onclick = () => eventTarget.trigger(EVENT_RACE_BUTTON_CLICKED);
+    elReplayButton.onclick = () => eventTarget.trigger(EVENT_REPLAY_BUTTON_CLICKED);
+    elExportReplayButton.onclick = () => eventTarget.trigger(EVENT_EXPORT_REPLAY_BUTTON_CLICKED);
+    elStopReplayButton.onclick = () => eventTarget.trigger(EVENT_STOP_REPLAY_BUTTON_CLICKED);
+    elDismissChallengeButton.onclick = () => eventTarget.trigger(EVENT_DISMISS_CHALLENGE_BUTTON_CLICKED);
+    elHintButton.onclick = () => eventTarget.trigger(EVENT_HINT_BUTTON_CLICKED);
+    elUndoButton.onclick = () => eventTarget.trigger(EVENT_UNDO_BUTTON_CLICKED);
+    elMarkDeadEndsInput.onchange = () => eventTarget.trigger(EVENT_MARK_DEAD_ENDS_CHANGED, elMarkDeadEndsInput.checked);
+    elHintBudgetInput.setAttribute('min', MIN_HINT_BUDGET);
+    elHintBudgetInput.setAttribute('max', MAX_HINT_BUDGET);
+    elHintBudgetInput.oninput = () => {
+        if (elHintBudgetInput.checkValidity()) {
+            eventTarget.trigger(EVENT_HINT_BUDGET_CHANGED, Number(elHintBudgetInput.value));
+        }
+    };
+    elBraidInput.setAttribute('min', MIN_BRAID);
+    elBraidInput.setAttribute('max', MAX_BRAID);
+    elBraidInput.oninput = () => {
+        if (elBraidInput.checkValidity()) {
+            eventTarget.trigger(EVENT_BRAID_CHANGED, Number(elBraidInput.value));
+        }
+    };
+    elFogRadiusInput.setAttribute('min', MIN_FOG_RADIUS);
+    elFogRadiusInput.setAttribute('max', MAX_FOG_RADIUS);
+    elFogRadiusInput.oninput = () => {
+        if (elFogRadiusInput.checkValidity()) {
+            eventTarget.trigger(EVENT_FOG_RADIUS_CHANGED, Number(elFogRadiusInput.value));
+        }
+    };
     elDownloadButton.onclick = () => eventTarget.trigger(EVENT_DOWNLOAD_CLICKED);
+    elStatsButton.onclick = () => eventTarget.trigger(EVENT_STATS_BUTTON_CLICKED);
+    elLeaderboardButton.onclick = () => eventTarget.trigger(EVENT_LEADERBOARD_BUTTON_CLICKED);
+    elPlayerNameInput.onchange = () => eventTarget.trigger(EVENT_PLAYER_NAME_CHANGED, elPlayerNameInput.value.trim());
+    elDownloadJsonButton.onclick = () => eventTarget.trigger(EVENT_DOWNLOAD_JSON_CLICKED);
+    elCopyLinkButton.onclick = () => eventTarget.trigger(EVENT_COPY_LINK_CLICKED);
+    elDownloadPngButton.onclick = () => eventTarget.trigger(EVENT_DOWNLOAD_PNG_CLICKED);
+    elThemeSelect.onchange = () => eventTarget.trigger(EVENT_THEME_SELECTED, elThemeSelect.value);
+    elOpenMazeButton.onclick = () => elOpenMazeInput.click();
+    elOpenMazeInput.onchange = () => {
+        const file = elOpenMazeInput.files[0];
+        if (file) {
+            eventTarget.trigger(EVENT_MAZE_FILE_SELECTED, file);
+        }
+        elOpenMazeInput.value = '';
+    };
 
-    window.onkeydown = event => eventTarget.trigger(EVENT_KEY_PRESS, {keyCode: event.keyCode, alt: event.altKey, shift: event.shiftKey});
+    // Keys pressed while typing into the sidebar (eg Backspace in the player name) are for the input, not the maze
+    window.onkeydown = event => {
+        const {target} = event;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) {
+            return;
+        }
+        eventTarget.trigger(EVENT_KEY_PRESS, {keyCode: event.keyCode, alt: event.altKey, shift: event.shiftKey});
+    };
+
+    const gamepadInput = buildGamepadInput(input => eventTarget.trigger(EVENT_DIRECTIONAL_INPUT, input));
+
+    // A swipe across the maze moves to the next junction in that direction, in the same way as a tap does on a phone
+    let swipeStart = null;
+    elCanvas.addEventListener('touchstart', event => {
+        const [touch] = event.touches;
+        swipeStart = event.touches.length === 1 ? {x: touch.clientX, y: touch.clientY} : null;
+    });
+    elCanvas.addEventListener('touchmove', event => {
+        if (swipeStart && stateMachine.state === STATE_PLAYING) {
+            // Stop the page from scrolling while the player is swiping
+            event.preventDefault();
+        }
+    }, {passive: false});
+    elCanvas.addEventListener('touchend', event => {
+        const [touch] = event.changedTouches;
+        if (swipeStart && touch) {
+            const dx = touch.clientX - swipeStart.x,
+                dy = touch.clientY - swipeStart.y;
+            if (Math.hypot(dx, dy) >= SWIPE_MIN_DISTANCE_PX) {
+                eventTarget.trigger(EVENT_DIRECTIONAL_INPUT, {angle: Math.atan2(dy, dx), shift: true, alt: true});
+            }
+        }
+        swipeStart = null;
+    });
 
     function fitCanvasToContainer() {
         if (isMobileLayout) {
@@ -91,6 +282,13 @@ export function buildView(model, stateMachine) {
         el.style.display = display ? 'block' : 'none';
     }
 
+    let replayAvailable = false,
+        fogEnabled = false;
+
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
     return {
         // Shape
         addShape(shapeName) {
@@ -181,6 +379,52 @@ export function buildView(model, stateMachine) {
             });
         },
 
+        // PNG
+        setPngOptions(sizes, dpis, selectedSize, selectedDpi) {
+            function addOptions(elSelect, values, selectedValue) {
+                values.forEach(value => {
+                    const elOption = document.createElement('option');
+                    elOption.value = value;
+                    elOption.innerHTML = value;
+                    elOption.selected = value === selectedValue;
+                    elSelect.appendChild(elOption);
+                });
+            }
+            addOptions(elPngSizeSelect, sizes, selectedSize);
+            addOptions(elPngDpiSelect, dpis, selectedDpi);
+        },
+        getPngSize() {
+            return Number(elPngSizeSelect.value);
+        },
+        getPngDpi() {
+            return Number(elPngDpiSelect.value);
+        },
+
+        // Theme
+        addTheme(description, themeId) {
+            const elOption = document.createElement('option');
+            elOption.value = themeId;
+            elOption.innerHTML = description;
+            elThemeSelect.appendChild(elOption);
+        },
+        setTheme(themeId) {
+            elThemeSelect.value = themeId;
+        },
+
+        addSolver(description, solverId) {
+            const elOption = document.createElement('option');
+            elOption.value = solverId;
+            elOption.innerHTML = description;
+            elSolverSelect.appendChild(elOption);
+        },
+        setSolver(solverId) {
+            elSolverSelect.value = solverId;
+        },
+        // Once the solver has finished there is nothing left for the Finish button to do
+        setSolverFinished(finished) {
+            toggleElementVisibility(elFinishSolvingButton, [STATE_SOLVING].includes(stateMachine.state) && !finished);
+        },
+
         toggleSolveButtonCaption(solve) {
             elSolveButton.innerHTML = solve ? 'Solve' : 'Clear Solution';
         },
@@ -188,6 +432,9 @@ export function buildView(model, stateMachine) {
         getSeed() {
             return elSeedInput.value;
         },
+        setBraid(braid) {
+            elBraidInput.value = braid;
+        },
 
         getValidSizeParameters() {
             return [...elSizeParameterList.querySelectorAll('input')].filter(elInput => elInput.checkValidity()).map(el => el.dataset.value);
@@ -206,34 +453,88 @@ export function buildView(model, stateMachine) {
                 errors.push('Enter between 1 and 9 digits for the Seed');
             }
 
+            if (!elBraidInput.checkValidity()) {
+                errors.push(`Enter a number between ${MIN_BRAID} and ${MAX_BRAID} for the Braid percentage`);
+            }
+
             return errors.join('\n');
         },
         isMobileLayout,
+        isGamepadConnected() {
+            return gamepadInput.isConnected();
+        },
 
         updateForNewState(state) {
             toggleElementVisibility(elMazeShapeList,      [STATE_INIT].includes(state));
             toggleElementVisibility(elMazeAlgorithmList,  [STATE_INIT].includes(state));
             toggleElementVisibility(elSizeParameterList,  [STATE_INIT].includes(state));
             toggleElementVisibility(elSeedParameterList,  [STATE_INIT].includes(state));
+            toggleElementVisibility(elBraidList,          [STATE_INIT].includes(state));
             toggleElementVisibility(elExitsList,          [STATE_INIT].includes(state));
             toggleElementVisibility(elAlgorithmDelayList, [STATE_INIT].includes(state));
             toggleElementVisibility(elCreateMaskButton,   [STATE_INIT].includes(state));
 
             toggleElementVisibility(elGoButton,           [STATE_INIT, STATE_DISPLAYING].includes(state));
             toggleElementVisibility(elDownloadButton,     [STATE_DISPLAYING, STATE_DISTANCE_MAPPING].includes(state));
+            toggleElementVisibility(elDownloadJsonButton, [STATE_DISPLAYING, STATE_DISTANCE_MAPPING].includes(state));
+            toggleElementVisibility(elCopyLinkButton,     [STATE_DISPLAYING, STATE_DISTANCE_MAPPING].includes(state));
+            toggleElementVisibility(elDownloadPngButton,  [STATE_DISPLAYING, STATE_DISTANCE_MAPPING].includes(state));
+            toggleElementVisibility(elPngOptionsList,     [STATE_DISPLAYING, STATE_DISTANCE_MAPPING].includes(state));
+            toggleElementVisibility(elThemeOptionsList,   [STATE_DISPLAYING, STATE_DISTANCE_MAPPING].includes(state));
+            toggleElementVisibility(elOpenMazeButton,     [STATE_INIT, STATE_DISPLAYING].includes(state));
 
             toggleElementVisibility(elChangeParamsButton,    [STATE_DISPLAYING].includes(state));
             toggleElementVisibility(elShowDistanceMapButton, [STATE_DISPLAYING].includes(state));
+            toggleElementVisibility(elPaintTerrainButton,    [STATE_DISPLAYING].includes(state));
+            toggleElementVisibility(elPlaceExitsButton,      [STATE_DISPLAYING].includes(state));
+            toggleElementVisibility(elEditCheckpointsButton, [STATE_DISPLAYING].includes(state));
             toggleElementVisibility(elSolveButton,           [STATE_DISPLAYING].includes(state));
-            toggleElementVisibility(elPlayButton,            [STATE_DISPLAYING].includes(state));
-            toggleElementVisibility(elStopButton,            [STATE_PLAYING].includes(state));
+            toggleElementVisibility(elSolutionOptionsList,   [STATE_DISPLAYING].includes(state));
+            toggleElementVisibility(elSolverOptionsList,     [STATE_DISPLAYING].includes(state));
+            toggleElementVisibility(elAnimateSolverButton,   [STATE_DISPLAYING].includes(state));
+            toggleElementVisibility(elFinishSolvingButton,   [STATE_SOLVING].includes(state));
+            toggleElementVisibility(elStopSolvingButton,     [STATE_SOLVING].includes(state));
+            toggleElementVisibility(elStatsButton,           [STATE_DISPLAYING].includes(state));
+            toggleElementVisibility(elLeaderboardButton,     [STATE_DISPLAYING].includes(state));
+            toggleElementVisibility(elPlayerOptionsList,     [STATE_DISPLAYING].includes(state));
+            toggleElementVisibility(elPlayButton,            [STATE_DISPLAYING, STATE_CHALLENGE_FAILED].includes(state));
+            toggleElementVisibility(elFogModeList,           [STATE_DISPLAYING].includes(state));
+            toggleElementVisibility(elFogRadiusList,         [STATE_DISPLAYING].includes(state) && fogEnabled);
+            toggleElementVisibility(elChallengeList,         [STATE_DISPLAYING].includes(state));
+            toggleElementVisibility(elPuzzleModeList,        [STATE_DISPLAYING].includes(state));
+            toggleElementVisibility(elRaceButton,            [STATE_DISPLAYING].includes(state));
+            toggleElementVisibility(elHintBudgetList,        [STATE_DISPLAYING].includes(state));
+            toggleElementVisibility(elHintButton,            [STATE_PLAYING].includes(state));
+            toggleElementVisibility(elUndoButton,            [STATE_PLAYING].includes(state));
+            toggleElementVisibility(elDeadEndOptionsList,    [STATE_DISPLAYING, STATE_PLAYING].includes(state));
+            toggleElementVisibility(elStopButton,            [STATE_PLAYING, STATE_RACING].includes(state));
+            toggleElementVisibility(elDismissChallengeButton, [STATE_CHALLENGE_FAILED].includes(state));
+            toggleElementVisibility(elReplayButton,          [STATE_DISPLAYING].includes(state) && replayAvailable);
+            toggleElementVisibility(elExportReplayButton,    [STATE_DISPLAYING, STATE_REPLAYING].includes(state) && replayAvailable);
+            toggleElementVisibility(elReplaySpeedList,       [STATE_REPLAYING].includes(state));
+            toggleElementVisibility(elStopReplayButton,      [STATE_REPLAYING].includes(state));
 
             toggleElementVisibility(elClearDistanceMapButton, [STATE_DISTANCE_MAPPING].includes(state));
 
+            toggleElementVisibility(elTerrainList,         [STATE_WEIGHTING].includes(state));
+            toggleElementVisibility(elClearTerrainButton,  [STATE_WEIGHTING].includes(state));
+            toggleElementVisibility(elFinishTerrainButton, [STATE_WEIGHTING].includes(state));
+            toggleElementVisibility(elCancelPlacingExitsButton, [STATE_PLACING_EXITS].includes(state));
+            toggleElementVisibility(elClearCheckpointsButton,  [STATE_PLACING_CHECKPOINTS].includes(state));
+            toggleElementVisibility(elFinishCheckpointsButton, [STATE_PLACING_CHECKPOINTS].includes(state));
+
             toggleElementVisibility(elSaveMaskButton, [STATE_MASKING].includes(state));
             toggleElementVisibility(elClearMaskButton, [STATE_MASKING].includes(state));
             toggleElementVisibility(elFinishRunningButton, [STATE_RUNNING_ALGORITHM].includes(state));
 
+            if (state !== STATE_DISPLAYING) {
+                this.hideStats();
+                this.hideLeaderboard();
+            }
+            if (state !== STATE_PLAYING) {
+                this.hideChallengeTimer();
+            }
+
             switch(state) {
                 case STATE_INIT:
                     this.showInfo('Select parameters for your maze and then click <b>New Maze</b>');
@@ -248,12 +549,36 @@ export function buildView(model, stateMachine) {
                 case STATE_PLAYING:
                     this.showInfo('');
                     break;
+                case STATE_REPLAYING:
+                    this.showInfo('');
+                    break;
+                case STATE_RACING:
+                    this.showInfo('');
+                    break;
+                case STATE_SOLVING:
+                    this.showInfo('');
+                    break;
+                case STATE_CHALLENGE_FAILED:
+                    this.showInfo('Time\'s up! The route you should have taken is shown.<br><br>Click <b>Play</b> to try again.');
+                    break;
                 case STATE_RUNNING_ALGORITHM:
                     this.showInfo('The maze generation algorithm has been slowed down.<br><br>Click FINISH to skip to the end.');
                     break;
                 case STATE_MASKING:
                     this.showInfo('Define a mask by selecting cells from the grid.<br><br>Masked cells will not be included in your maze');
                     break;
+                case STATE_PLACING_EXITS:
+                    this.showInfo('Click the cell where the maze should start.<br><br>Any cell can be used, including ones in the middle of the maze.');
+                    break;
+                case STATE_PLACING_CHECKPOINTS:
+                    this.showInfo(`Click cells in the maze to add checkpoints, which must be visited in order between the start and the finish. Click a checkpoint again to remove it.<br><br>` +
+                        `A maze can have up to ${MAX_CHECKPOINTS} checkpoints, each one is marked with its position in the order.`);
+                    break;
+                case STATE_WEIGHTING:
+                    this.showInfo('Select a terrain type and then click cells in the maze to paint them.<br><br>' +
+                        'Solutions and distance maps take the cheapest route, where moving into a cell costs ' +
+                        Object.values(TERRAINS).map(({description, cost}) => `${cost} for ${description}`).join(', '));
+                    break;
                 default:
                     console.assert(false, 'unexpected state value: ' + state);
             }
@@ -274,6 +599,155 @@ export function buildView(model, stateMachine) {
             this.showInfo(instructions);
         },
 
+        showStats(stats) {
+            elDetails.innerHTML = STATS_FIELDS
+                .filter(field => stats[field.key] !== null)
+                .map(field => `${field.description}: <em>${formatStatValue(field.key, stats[field.key])}</em>`)
+                .join('<br>');
+            toggleElementVisibility(elDetails, true);
+            elStatsButton.innerHTML = 'Hide Stats';
+        },
+        hideStats() {
+            toggleElementVisibility(elDetails, false);
+            elStatsButton.innerHTML = 'Stats';
+        },
+        isShowingStats() {
+            return elDetails.style.display === 'block';
+        },
+
+        // Fog
+        addFogMode(description, value) {
+            const elFogItem = document.createElement('li');
+            elFogItem.innerHTML = description;
+            elFogItem.onclick = () => eventTarget.trigger(EVENT_FOG_MODE_SELECTED, value);
+            elFogModeList.appendChild(elFogItem);
+            elFogItem.dataset.value = value;
+        },
+        setFogMode(fogMode) {
+            [...elFogModeList.querySelectorAll('li')].forEach(el => {
+                el.classList.toggle('selected', el.dataset.value === fogMode);
+            });
+            fogEnabled = fogMode !== FOG_OFF;
+            toggleElementVisibility(elFogRadiusList, [STATE_DISPLAYING].includes(stateMachine.state) && fogEnabled);
+        },
+        setFogRadius(radius) {
+            elFogRadiusInput.value = radius;
+        },
+
+        // Challenge
+        addChallengeDifficulty(description, value) {
+            const elChallengeItem = document.createElement('li');
+            elChallengeItem.innerHTML = description;
+            elChallengeItem.onclick = () => eventTarget.trigger(EVENT_CHALLENGE_SELECTED, value);
+            elChallengeList.appendChild(elChallengeItem);
+            elChallengeItem.dataset.value = value;
+        },
+        setChallengeDifficulty(difficulty) {
+            [...elChallengeList.querySelectorAll('li')].forEach(el => {
+                el.classList.toggle('selected', el.dataset.value === difficulty);
+            });
+        },
+        showChallengeTimer(remainingMillis) {
+            // Round up, so that the timer doesn't show zero until the time has actually run out
+            elChallengeTimer.innerHTML = formatTime(Math.ceil(remainingMillis / 1000) * 1000);
+            elChallengeTimer.classList.toggle('warning', remainingMillis <= CHALLENGE_WARNING_MILLIS);
+            toggleElementVisibility(elChallengeTimer, true);
+        },
+        hideChallengeTimer() {
+            toggleElementVisibility(elChallengeTimer, false);
+        },
+
+        // Hints
+        setHintBudget(hintBudget) {
+            elHintBudgetInput.value = hintBudget;
+        },
+        setHintsRemaining(hintsRemaining) {
+            elHintButton.innerHTML = `Hint (${hintsRemaining} left)`;
+            elHintButton.disabled = !hintsRemaining;
+        },
+
+        setSolutionArrows(solutionArrows) {
+            elSolutionArrowsInput.checked = solutionArrows;
+        },
+
+        // Trail
+        setMarkDeadEnds(markDeadEnds) {
+            elMarkDeadEndsInput.checked = markDeadEnds;
+        },
+
+        // Puzzle
+        addPuzzleMode(description, value) {
+            const elPuzzleItem = document.createElement('li');
+            elPuzzleItem.innerHTML = description;
+            elPuzzleItem.onclick = () => eventTarget.trigger(EVENT_PUZZLE_MODE_SELECTED, value);
+            elPuzzleModeList.appendChild(elPuzzleItem);
+            elPuzzleItem.dataset.value = value;
+        },
+        setPuzzleMode(puzzleMode) {
+            [...elPuzzleModeList.querySelectorAll('li')].forEach(el => {
+                el.classList.toggle('selected', el.dataset.value === puzzleMode);
+            });
+        },
+
+        // Terrain
+        addTerrain(description, value) {
+            const elTerrainItem = document.createElement('li');
+            elTerrainItem.innerHTML = description;
+            elTerrainItem.onclick = () => eventTarget.trigger(EVENT_TERRAIN_SELECTED, value);
+            elTerrainList.appendChild(elTerrainItem);
+            elTerrainItem.dataset.value = value;
+        },
+        setTerrain(terrain) {
+            [...elTerrainList.querySelectorAll('li')].forEach(el => {
+                el.classList.toggle('selected', el.dataset.value === terrain);
+            });
+        },
+
+        // Replay
+        setReplayAvailable(available) {
+            replayAvailable = available;
+            toggleElementVisibility(elReplayButton,       [STATE_DISPLAYING].includes(stateMachine.state) && available);
+            toggleElementVisibility(elExportReplayButton, [STATE_DISPLAYING, STATE_REPLAYING].includes(stateMachine.state) && available);
+        },
+        addReplaySpeed(description, value) {
+            const elSpeedItem = document.createElement('li');
+            elSpeedItem.innerHTML = description;
+            elSpeedItem.onclick = () => eventTarget.trigger(EVENT_REPLAY_SPEED_SELECTED, value);
+            elReplaySpeedList.appendChild(elSpeedItem);
+            elSpeedItem.dataset.value = value;
+        },
+        setReplaySpeed(speed) {
+            [...elReplaySpeedList.querySelectorAll('li')].forEach(el => {
+                el.classList.toggle('selected', Number(el.dataset.value) === speed);
+            });
+        },
+
+        setPlayerName(name) {
+            elPlayerNameInput.value = name;
+        },
+        showLeaderboard(leaderboard, player) {
+            const {attempts, topRuns, personalBest, playerAttempts} = leaderboard;
+            if (!attempts) {
+                elLeaderboardDetails.innerHTML = 'Nobody has completed this maze yet, click PLAY to be the first';
+            } else {
+                const runItems = topRuns.map(run => `<li class="${run === personalBest ? 'personalBest' : ''}">${escapeHtml(run.player)} <em>${formatTime(run.timeMs)}</em> ${run.optimality}%</li>`);
+                elLeaderboardDetails.innerHTML = `
+                    Completed ${attempts} time${attempts === 1 ? '' : 's'}<br>
+                    <ol>${runItems.join('')}</ol>
+                    ${personalBest ? `Best time for ${escapeHtml(player)}: <em>${formatTime(personalBest.timeMs)}</em> (${playerAttempts} attempt${playerAttempts === 1 ? '' : 's'})` : ''}
+                `;
+            }
+            toggleElementVisibility(elLeaderboardDetails, true);
+            elLeaderboardButton.innerHTML = 'Hide Leaderboard';
+        },
+        hideLeaderboard() {
+            toggleElementVisibility(elLeaderboardDetails, false);
+            elLeaderboardButton.innerHTML = 'Leaderboard';
+        },
+        isShowingLeaderboard() {
+            return elLeaderboardDetails.style.display === 'block';
+        },
+
         on(eventName, handler) {
             eventTarget.on(eventName, handler);
         }
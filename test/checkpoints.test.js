@@ -0,0 +1,67 @@
+import {describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {SKIP_WITHOUT_MAZE_LIBRARY, importWithMazeLibrary, buildMaze, buildLoopMaze} from './helpers.js';
+import {METADATA_DOOR, METADATA_KEY} from '../js/puzzle.js';
+
+const [{METADATA_PATH}, {findPathViaCheckpoints, findRouteViaCheckpoints, getRouteCells}, {TERRAIN_WATER, paintTerrain, getTotalCost}] =
+    await importWithMazeLibrary('../js/lib/constants.js', '../js/checkpoints.js', '../js/terrain.js');
+
+/*
+ A corridor from 0,0 to the exit at 3,0, with a locked door at 2,0 and its key in a dead end below the corridor:
+   0,0 - 1,0 - 2,0 - 3,0
+          |
+         1,1
+ */
+function buildKeyAndDoorMaze() {
+    const maze = buildMaze(4, 2, [[[0, 0], [1, 0]], [[1, 0], [2, 0]], [[2, 0], [3, 0]], [[1, 0], [1, 1]]]);
+    maze.getCellByCoordinates([2, 0]).metadata[METADATA_DOOR] = 0;
+    maze.getCellByCoordinates([1, 1]).metadata[METADATA_KEY] = 0;
+    return maze;
+}
+
+describe('checkpoints', {skip: SKIP_WITHOUT_MAZE_LIBRARY}, () => {
+    test('the optimal route is made from the same legs as the solution when there is terrain and a checkpoint', () => {
+        const maze = buildLoopMaze(),
+            [startCell, checkpointCell, endCell] = [[0, 0], [2, 1], [2, 0]].map(maze.getCellByCoordinates);
+        paintTerrain(maze.getCellByCoordinates([1, 0]), TERRAIN_WATER);
+
+        findPathViaCheckpoints(maze, startCell.coords, endCell.coords, [checkpointCell]);
+        const solution = maze.metadata[METADATA_PATH],
+            optimalRoute = getRouteCells(findRouteViaCheckpoints(maze, startCell, endCell, [checkpointCell]));
+
+        assert.deepEqual(solution, [[0, 0], [0, 1], [1, 1], [2, 1], [2, 0]]);
+        assert.deepEqual(optimalRoute.map(cell => cell.coords), solution);
+        assert.equal(getTotalCost(optimalRoute), 5);
+    });
+
+    test('cells that the route passes through more than once are only counted once', () => {
+        const maze = buildLoopMaze(),
+            [startCell, checkpointCell, endCell] = [[0, 0], [1, 0], [0, 1]].map(maze.getCellByCoordinates);
+        paintTerrain(checkpointCell, TERRAIN_WATER);
+
+        const route = findRouteViaCheckpoints(maze, startCell, endCell, [checkpointCell]),
+            routeCells = getRouteCells(route),
+            checkpointIndex = route.indexOf(checkpointCell);
+
+        assert.equal(route[0], startCell);
+        assert.ok(checkpointIndex > 0);
+        assert.equal(route.indexOf(endCell), route.length - 1);
+        assert.ok(routeCells.length < route.length);
+        assert.equal(new Set(routeCells).size, routeCells.length);
+        assert.equal(getTotalCost(routeCells), 7);
+    });
+
+    test('the route fetches the key before going through its door', () => {
+        const maze = buildKeyAndDoorMaze(),
+            route = findRouteViaCheckpoints(maze, maze.getCellByCoordinates([0, 0]), maze.getCellByCoordinates([3, 0]), []);
+
+        assert.deepEqual(route.map(cell => cell.coords), [[0, 0], [1, 0], [1, 1], [1, 0], [2, 0], [3, 0]]);
+    });
+
+    test('the route goes straight through doors whose keys are already held', () => {
+        const maze = buildKeyAndDoorMaze(),
+            route = findRouteViaCheckpoints(maze, maze.getCellByCoordinates([0, 0]), maze.getCellByCoordinates([3, 0]), [], new Set([0]));
+
+        assert.deepEqual(route.map(cell => cell.coords), [[0, 0], [1, 0], [2, 0], [3, 0]]);
+    });
+});
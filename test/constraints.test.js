@@ -0,0 +1,28 @@
+import {describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {SKIP_WITHOUT_MAZE_LIBRARY, importWithMazeLibrary} from './helpers.js';
+
+const [{CONSTRAINT_UNIT_CELLS, CONSTRAINT_UNIT_PERCENT, parseConstraint, checkConstraints}] = await importWithMazeLibrary('../js/constraints.js');
+
+describe('batch filter rules', {skip: SKIP_WITHOUT_MAZE_LIBRARY}, () => {
+    test('rules are parsed from text, with or without a percentage', () => {
+        assert.deepEqual(parseConstraint('deadEnds >= 30'), {metric: 'deadEnds', operator: '>=', value: 30, unit: CONSTRAINT_UNIT_CELLS});
+        assert.deepEqual(parseConstraint('solutionLength>=60%'), {metric: 'solutionLength', operator: '>=', value: 60, unit: CONSTRAINT_UNIT_PERCENT});
+    });
+
+    test('rules that can\'t be used are rejected', () => {
+        assert.throws(() => parseConstraint('deadEnds'), /Invalid constraint/);
+        assert.throws(() => parseConstraint('cellCount>=10'), /Unknown statistic/);
+    });
+
+    test('each rule that a maze fails is described, and percentages are relative to the number of cells', () => {
+        const stats = {cellCount: 100, solutionLength: 50, deadEnds: 40, difficulty: null},
+            rules = ['solutionLength>=60%', 'deadEnds>=30', 'difficulty>=10'].map(parseConstraint),
+            failures = checkConstraints(stats, rules);
+
+        assert.equal(failures.length, 2);
+        assert.match(failures[0], /\(was 50\)$/);
+        assert.match(failures[1], /\(was null\)$/);
+        assert.deepEqual(checkConstraints({...stats, solutionLength: 60}, rules.slice(0, 2)), []);
+    });
+});
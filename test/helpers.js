@@ -0,0 +1,51 @@
+import {existsSync} from 'node:fs';
+import {installSvgDocument} from '../cli/svgDocument.js';
+
+/*
+ Some modules use the maze library, which is only there if the 'mazejs' submodule has been cloned into js/lib (see
+ README.md). Tests of those modules are skipped without it, rather than failing to load.
+ */
+export const SKIP_WITHOUT_MAZE_LIBRARY = existsSync(new URL('../js/lib/main.js', import.meta.url)) ? false : 'needs the mazejs submodule in js/lib, see README.md';
+
+// Works like the command-line tool, which also needs a DOM in place before the maze library is loaded (see cli/maze-batch.js)
+export function importWithMazeLibrary(...modulePaths) {
+    if (SKIP_WITHOUT_MAZE_LIBRARY) {
+        return Promise.resolve(modulePaths.map(() => ({})));
+    }
+    installSvgDocument();
+    return Promise.all(modulePaths.map(modulePath => import(new URL(modulePath, import.meta.url))));
+}
+
+// A minimal stand-in for a square maze, with passages between each of the listed pairs of cells
+export function buildMaze(width, height, passages) {
+    const cells = [],
+        getCellByCoordinates = ([x, y]) => cells[y * width + x];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            cells.push({coords: [x, y], metadata: {}, linkedCells: []});
+        }
+    }
+    passages.forEach(([coords1, coords2]) => {
+        const cell1 = getCellByCoordinates(coords1),
+            cell2 = getCellByCoordinates(coords2);
+        cell1.linkedCells.push(cell2);
+        cell2.linkedCells.push(cell1);
+    });
+    cells.forEach(cell => {
+        cell.neighbours = {linkedDirections: () => cell.linkedCells.map((linkedCell, index) => index)};
+        cell.linkedCells.forEach((linkedCell, index) => cell.neighbours[index] = linkedCell);
+    });
+
+    return {metadata: {}, getCellByCoordinates, forEachCell: fn => cells.forEach(fn)};
+}
+
+/*
+ A loop around a 3x2 grid, so that there are two routes of the same length from the top-left cell to the bottom-right one:
+   0,0 - 1,0 - 2,0
+    |           |
+   0,1 - 1,1 - 2,1
+ */
+export function buildLoopMaze() {
+    return buildMaze(3, 2, [[[0, 0], [1, 0]], [[1, 0], [2, 0]], [[0, 1], [1, 1]], [[1, 1], [2, 1]], [[0, 0], [0, 1]], [[2, 0], [2, 1]]]);
+}
@@ -0,0 +1,33 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {getConfigKey} from '../js/history.js';
+
+const config = {shape: 'square', size: {width: 10, height: 10}, algorithm: 'recursiveBacktrack', seed: 123, exitConfig: 'vertical', mask: []};
+
+test('runs saved before play settings were added keep the same key', () => {
+    const expectedKey = JSON.stringify(['square', {width: 10, height: 10}, 'recursiveBacktrack', 123, 'vertical', []]);
+
+    assert.equal(getConfigKey(config), expectedKey);
+    assert.equal(getConfigKey(config, {}), expectedKey);
+});
+
+test('games played with different settings on the same maze get different keys', () => {
+    const keys = [
+        getConfigKey(config),
+        getConfigKey(config, {fog: {mode: 'torch', radius: 3}}),
+        getConfigKey(config, {fog: {mode: 'torch', radius: 4}}),
+        getConfigKey(config, {challenge: 'hard'}),
+        getConfigKey(config, {puzzle: 'keysAndDoors'}),
+        getConfigKey(config, {hintBudget: 0})
+    ];
+
+    assert.equal(new Set(keys).size, keys.length);
+});
+
+test('painted and unpainted copies of the same maze get different keys', () => {
+    const paintedConfig = {...config, terrain: {mud: [[1, 1]]}};
+
+    assert.notEqual(getConfigKey(paintedConfig), getConfigKey(config));
+    assert.notEqual(getConfigKey(paintedConfig), getConfigKey({...config, terrain: {water: [[1, 1]]}}));
+    assert.equal(getConfigKey({...config, terrain: {}}), getConfigKey(config));
+});
@@ -0,0 +1,39 @@
+import {describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {SKIP_WITHOUT_MAZE_LIBRARY, importWithMazeLibrary} from './helpers.js';
+
+const [{MAZE_JSON_FORMAT, MAZE_JSON_VERSION, parseMazeJson}] = await importWithMazeLibrary('../js/mazeJson.js');
+
+function buildJsonText(changes) {
+    return JSON.stringify({
+        format: MAZE_JSON_FORMAT,
+        version: MAZE_JSON_VERSION,
+        shape: 'square',
+        size: {width: 2, height: 1},
+        start: [0, 0],
+        end: [1, 0],
+        cells: [{coords: [0, 0], links: [[1, 0]]}, {coords: [1, 0], links: [[0, 0]]}],
+        ...changes
+    });
+}
+
+describe('parseMazeJson', {skip: SKIP_WITHOUT_MAZE_LIBRARY}, () => {
+    test('a complete maze file is accepted', () => {
+        assert.deepEqual(parseMazeJson(buildJsonText({})).cells[0], {coords: [0, 0], links: [[1, 0]]});
+    });
+
+    test('files that are not maze files are rejected', () => {
+        assert.throws(() => parseMazeJson('{'), /valid JSON/);
+        assert.throws(() => parseMazeJson(JSON.stringify({format: 'something else'})), /does not contain a maze/);
+        assert.throws(() => parseMazeJson(buildJsonText({version: MAZE_JSON_VERSION + 1})), /newer version/);
+        assert.throws(() => parseMazeJson(buildJsonText({cells: undefined})), /incomplete/);
+    });
+
+    test('cells and links must have valid coordinates', () => {
+        assert.throws(() => parseMazeJson(buildJsonText({cells: [{coords: [0, -1], links: []}]})), /without valid coordinates/);
+        assert.throws(() => parseMazeJson(buildJsonText({cells: [null]})), /without valid coordinates/);
+        assert.throws(() => parseMazeJson(buildJsonText({cells: [{coords: [0, 0], links: '1,0'}]})), /invalid links/);
+        assert.throws(() => parseMazeJson(buildJsonText({cells: [{coords: [0, 0], links: [[1.5, 0]]}]})), /invalid links/);
+        assert.throws(() => parseMazeJson(buildJsonText({end: [1]})), /start and end/);
+    });
+});
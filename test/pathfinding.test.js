@@ -0,0 +1,51 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {buildPathFromParents, findPath, findDistances, findCheapestRoutes} from '../js/pathfinding.js';
+import {buildLoopMaze} from './helpers.js';
+
+// The same costs as the terrain in terrain.js, with water on the top row of the loop
+function buildWaterCost(maze) {
+    const waterCell = maze.getCellByCoordinates([1, 0]);
+    return cell => cell === waterCell ? 5 : 1;
+}
+
+test('findPath finds the route with the fewest steps', () => {
+    const maze = buildLoopMaze(),
+        path = findPath(maze.getCellByCoordinates([0, 0]), maze.getCellByCoordinates([2, 0]));
+
+    assert.deepEqual(path.map(cell => cell.coords), [[0, 0], [1, 0], [2, 0]]);
+});
+
+test('findPath returns null if every route has been ruled out', () => {
+    const maze = buildLoopMaze(),
+        blockedCells = [[1, 0], [1, 1]].map(maze.getCellByCoordinates);
+
+    assert.equal(findPath(maze.getCellByCoordinates([0, 0]), maze.getCellByCoordinates([2, 0]), (fromCell, toCell) => !blockedCells.includes(toCell)), null);
+});
+
+test('findDistances counts the steps to every cell', () => {
+    const maze = buildLoopMaze(),
+        distances = findDistances(maze.getCellByCoordinates([0, 0]));
+
+    assert.deepEqual([[0, 0], [1, 0], [2, 0], [0, 1], [1, 1], [2, 1]].map(coords => distances.get(maze.getCellByCoordinates(coords))), [0, 1, 2, 1, 2, 3]);
+});
+
+test('findCheapestRoutes goes the long way round to avoid expensive terrain', () => {
+    const maze = buildLoopMaze(),
+        endCell = maze.getCellByCoordinates([2, 0]),
+        {costs, parents} = findCheapestRoutes(maze.getCellByCoordinates([0, 0]), buildWaterCost(maze));
+
+    assert.equal(costs.get(endCell), 4);
+    assert.equal(costs.get(maze.getCellByCoordinates([1, 0])), 5);
+    assert.deepEqual(buildPathFromParents(parents, endCell).map(cell => cell.coords), [[0, 0], [0, 1], [1, 1], [2, 1], [2, 0]]);
+});
+
+test('findCheapestRoutes only makes the moves allowed by canMove', () => {
+    const maze = buildLoopMaze(),
+        blockedCell = maze.getCellByCoordinates([1, 1]),
+        {costs, parents} = findCheapestRoutes(maze.getCellByCoordinates([0, 0]), buildWaterCost(maze), (fromCell, toCell) => toCell !== blockedCell);
+
+    assert.equal(costs.has(blockedCell), false);
+    assert.equal(costs.get(maze.getCellByCoordinates([2, 0])), 6);
+    assert.deepEqual(buildPathFromParents(parents, maze.getCellByCoordinates([2, 1])).map(cell => cell.coords), [[0, 0], [1, 0], [2, 0], [2, 1]]);
+});
@@ -0,0 +1,22 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {setPngDpi} from '../js/pngDpi.js';
+
+// The 8 byte signature and a 25 byte IHDR chunk, followed by the rest of the image
+function buildPngBytes(rest) {
+    return Uint8Array.from([...Array(33).keys(), ...rest]);
+}
+
+test('a pHYs chunk is added straight after the IHDR chunk', () => {
+    const pngBytes = buildPngBytes([200, 201, 202]),
+        result = setPngDpi(pngBytes, 300),
+        view = new DataView(result.buffer);
+
+    assert.equal(result.length, pngBytes.length + 21);
+    assert.deepEqual([...result.subarray(0, 33)], [...pngBytes.subarray(0, 33)]);
+    assert.equal(view.getUint32(33), 9);
+    assert.equal(String.fromCharCode(...result.subarray(37, 41)), 'pHYs');
+    assert.deepEqual([view.getUint32(41), view.getUint32(45), result[49]], [11811, 11811, 1]);
+    assert.equal(view.getUint32(50), 0x78a53f76);
+    assert.deepEqual([...result.subarray(54)], [200, 201, 202]);
+});
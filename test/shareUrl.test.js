@@ -0,0 +1,45 @@
+import {describe, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {SKIP_WITHOUT_MAZE_LIBRARY, importWithMazeLibrary} from './helpers.js';
+
+const [{EXITS_VERTICAL}, {buildShareHash, parseShareHash}, {encodeMask, decodeMask}, {createSvgElement}, {config}] =
+    await importWithMazeLibrary('../js/lib/constants.js', '../js/shareUrl.js', '../js/mask.js', '../js/mazeExport.js', '../js/config.js');
+
+const SIZE = {width: 5, height: 5},
+    sortCoords = coordsList => [...coordsList].sort((coords1, coords2) => coords1[1] - coords2[1] || coords1[0] - coords2[0]);
+
+describe('share links', {skip: SKIP_WITHOUT_MAZE_LIBRARY}, () => {
+    test('a mask survives being encoded and decoded', () => {
+        const mask = [[0, 0], [4, 0], [2, 3]],
+            encodedMask = encodeMask('square', SIZE, mask, createSvgElement());
+
+        assert.match(encodedMask, /^[\w-]+$/);
+        assert.deepEqual(sortCoords(decodeMask('square', SIZE, encodedMask, createSvgElement())), sortCoords(mask));
+        assert.equal(encodeMask('square', SIZE, [], createSvgElement()), '');
+        assert.deepEqual(decodeMask('square', SIZE, '', createSvgElement()), []);
+    });
+
+    test('a mask for a different size of maze is rejected', () => {
+        const encodedMask = encodeMask('square', SIZE, [[0, 0]], createSvgElement());
+
+        assert.throws(() => decodeMask('square', {width: 10, height: 10}, encodedMask, createSvgElement()), /does not match the size/);
+    });
+
+    test('a link describes the same maze after it has been opened', () => {
+        const mazeConfig = {
+            shape: 'square',
+            size: SIZE,
+            algorithm: config.shapes.square.defaultAlgorithm,
+            seed: 1234,
+            exitConfig: EXITS_VERTICAL,
+            mask: [[4, 4]],
+            braid: 50,
+            customExits: null,
+            checkpoints: [[1, 1], [3, 2]],
+            terrain: {mud: [[0, 2], [1, 2]], water: [[3, 3]]}
+        };
+        const parsedConfig = parseShareHash(buildShareHash(mazeConfig, createSvgElement()), createSvgElement());
+
+        assert.deepEqual(parsedConfig, mazeConfig);
+    });
+});